@@ -2,13 +2,63 @@ import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { nanoid } from 'nanoid';
 import Canvas from './Canvas.jsx';
 import ShareModal from './ShareModal.jsx';
+import PasswordPrompt from './PasswordPrompt.jsx';
+import ParticipantList from './ParticipantList.jsx';
+import ProfileDialog from './ProfileDialog.jsx';
+import StylePanel from './StylePanel.jsx';
+import ExportDialog from './ExportDialog.jsx';
+import SceneDialog from './SceneDialog.jsx';
+import {
+  SEQUENCED_EVENTS,
+  applyLocalOp,
+  applyServerEvent,
+  claimActions,
+  claimOps,
+  visibleActions
+} from './board.js';
+import {
+  commandUpdates,
+  createHistory,
+  editCommand,
+  lastCreation,
+  popCommand,
+  recordCommand
+} from './history.js';
+import {
+  cloneElements,
+  copyElements,
+  isSvgMarkup,
+  parseElements,
+  serializeElements,
+  svgToDataUrl
+} from './clipboard.js';
+import { downloadBlob, isImageFile, isSceneFile, loadImage, readFile } from './files.js';
+import { exportBounds, renderToPdf, renderToPng, renderToSvg, svgBlob } from './export.js';
+import { SceneError, parseScene, serializeScene } from './scene.js';
 import { createSocket, SERVER_URL } from './socket.js';
+import { loadRoomCache, saveRoomCache } from './offlineStore.js';
+import { FONT_FAMILIES, FONT_SIZES, TEXT_ALIGNS } from './text.js';
+import { ARROWHEADS } from './geometry.js';
+import { DEFAULT_STYLE, TOOL_TYPES, styleFor } from './style.js';
+import {
+  CURSOR_IDLE_MS,
+  CURSOR_SEND_INTERVAL_MS,
+  PROFILE_COLORS,
+  displayName,
+  loadProfile,
+  profileColor,
+  storeProfile
+} from './presence.js';
 
 const TOOLBAR = [
   { id: 'pen', label: 'Pen', icon: '✏️' },
   { id: 'rect', label: 'Rectangle', icon: '▭' },
   { id: 'ellipse', label: 'Ellipse', icon: '○' },
+  { id: 'line', label: 'Line', icon: '╱' },
+  { id: 'arrow', label: 'Arrow', icon: '→' },
+  { id: 'text', label: 'Text', icon: '𝐓' },
   { id: 'image', label: 'Image', icon: '🖼️' },
+  { id: 'eraser', label: 'Eraser', icon: '🧽' },
   { id: 'select', label: 'Select', icon: '↔️' },
   { id: 'pan', label: 'Pan', icon: '✋' }
 ];
@@ -26,120 +76,486 @@ function ensureRoomInUrl() {
   return room;
 }
 
-const getInitialUserId = () => {
+// `key` in the URL is the link key of a protected room; it decides whether
+// we join as editor or viewer.
+const readLinkKey = () =>
+  new URL(window.location.href).searchParams.get('key');
+
+const setLinkKeyInUrl = (key) => {
+  const current = new URL(window.location.href);
+  current.searchParams.set('key', key);
+  window.history.replaceState({}, '', current.toString());
+};
+
+const passwordKey = (roomId) => `rc-room-password:${roomId}`;
+
+const readRoomPassword = (roomId) => {
   try {
-    const cached = localStorage.getItem('rc-user-id');
-    if (cached) return cached;
-    const fresh = nanoid(6);
-    localStorage.setItem('rc-user-id', fresh);
-    return fresh;
+    return sessionStorage.getItem(passwordKey(roomId));
   } catch {
-    return nanoid(6);
+    return null;
   }
 };
 
+const storeRoomPassword = (roomId, password) => {
+  try {
+    if (password) {
+      sessionStorage.setItem(passwordKey(roomId), password);
+    } else {
+      sessionStorage.removeItem(passwordKey(roomId));
+    }
+  } catch {
+    // storage unavailable; the password is kept in memory only
+  }
+};
+
+// The session ({ userId, token }) is issued and signed by the server on
+// `join-room`; we only cache it so the same identity is reused next time.
+const SESSION_KEY = 'rc-session';
+
+// Outbox ops sent before waiting for their acks. The server handles a
+// socket's events in order, so a window of them can be in flight at once.
+const OUTBOX_WINDOW = 25;
+
+const getInitialSession = () => {
+  try {
+    const cached = JSON.parse(localStorage.getItem(SESSION_KEY));
+    if (cached?.userId && cached?.token) return cached;
+  } catch {
+    // fall through to an anonymous session
+  }
+  return { userId: null, token: null };
+};
+
+const storeSession = (session) => {
+  try {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  } catch {
+    // storage unavailable (private mode); the session lasts for this tab only
+  }
+};
+
+const getInitialProfile = () =>
+  loadProfile() || {
+    name: '',
+    color: PROFILE_COLORS[Math.floor(Math.random() * PROFILE_COLORS.length)]
+  };
+
+// Participants are kept as profiles, one per user even with several tabs open.
+const upsertPeer = (peers, profile) => {
+  const index = peers.findIndex((peer) => peer.userId === profile.userId);
+  if (index === -1) return [...peers, profile];
+  const next = [...peers];
+  next[index] = profile;
+  return next;
+};
+
+// Copies the fields of `next` that `current` already has, with the same
+// type, so a scene file can't put unknown style fields into the tools.
+const mergeKnown = (current, next) => {
+  if (!next || typeof next !== 'object') return current;
+  const merged = { ...current };
+  Object.keys(current).forEach((key) => {
+    const value = next[key];
+    if (value === undefined) return;
+    if (value === null || current[key] === null || typeof value === typeof current[key]) {
+      merged[key] = value;
+    }
+  });
+  return merged;
+};
+
+const dropCursor = (cursors, id) => {
+  if (!(id in cursors)) return cursors;
+  const next = { ...cursors };
+  delete next[id];
+  return next;
+};
+
 export default function App() {
   const [roomId] = useState(() => ensureRoomInUrl());
-  const [userId] = useState(() => getInitialUserId());
+  const [session, setSession] = useState(() => getInitialSession());
+  const { userId } = session;
   const [tool, setTool] = useState('pen');
   const [strokeColor, setStrokeColor] = useState(defaultColor);
   const [strokeWidth, setStrokeWidth] = useState(3);
+  const [textStyle, setTextStyle] = useState({
+    fontFamily: 'sans',
+    fontSize: 24,
+    textAlign: 'left'
+  });
+  const [arrowheads, setArrowheads] = useState({ start: null, end: 'arrow' });
+  // Fill, opacity and stroke style for new elements.
+  const [shapeStyle, setShapeStyle] = useState(DEFAULT_STYLE);
+  const [selectedIds, setSelectedIds] = useState([]);
   const [actions, setActions] = useState([]);
   const [pendingImage, setPendingImage] = useState(null);
-  const [peers, setPeers] = useState(() => [userId]);
+  const [profile, setProfile] = useState(() => getInitialProfile());
+  // Ask for a name on the first visit.
+  const [showProfileDialog, setShowProfileDialog] = useState(() => !loadProfile());
+  const [peers, setPeers] = useState(() => (userId ? [{ ...profile, userId }] : []));
   const [isConnected, setIsConnected] = useState(false);
   const [showShareModal, setShowShareModal] = useState(false);
+  const [showExportDialog, setShowExportDialog] = useState(false);
+  // Scene file picked with Open, waiting for where to put it.
+  const [openedScene, setOpenedScene] = useState(null);
   const [notification, setNotification] = useState(null);
+  const [role, setRole] = useState('editor');
+  const [access, setAccess] = useState(null);
+  const [joinDenied, setJoinDenied] = useState(null);
+  const [owner, setOwner] = useState(null);
+  const [locked, setLocked] = useState(false);
+  const [cacheReady, setCacheReady] = useState(false);
+  const [pendingCount, setPendingCount] = useState(0);
+  // userId -> { x, y, seenAt } for peers whose pointer is over the board
+  const [cursors, setCursors] = useState({});
   const actionsRef = useRef(actions);
+  const sessionRef = useRef(session);
+  const profileRef = useRef(profile);
+  const linkKeyRef = useRef(readLinkKey());
+  const passwordRef = useRef(readRoomPassword(roomId));
+  // Highest server sequence number applied locally; sent on rejoin so the
+  // server only replays what we missed.
+  const lastSeqRef = useRef(null);
+  // Outbox of our own mutations ({ id, event, payload }) not yet acknowledged
+  // by the server. Only sent while joined, in order, OUTBOX_WINDOW at a time;
+  // each op leaves the outbox when its own ack comes back.
+  const outboxRef = useRef([]);
+  // Ids of the ops sent and not yet acknowledged.
+  const inFlightRef = useRef(new Set());
+  const persistScheduledRef = useRef(false);
+  const joinedRef = useRef(false);
+  const cursorSendRef = useRef({ lastSent: 0, timer: null, point: null });
+  // World position of our pointer while it is over the board; pastes land there.
+  const boardPointRef = useRef(null);
+  // World-space rectangle the board currently shows.
+  const viewportRef = useRef(null);
+  // Style edit of the selected element waiting to be sent: { actionId, data, timer }.
+  const styleEditRef = useRef(null);
+  // Our undo/redo stacks (see history.js).
+  const historyRef = useRef(createHistory());
+  // actionId -> data from before a live edit (a drag, a style slider)
+  // started, so the whole edit is undone in one step.
+  const editBaseRef = useRef(new Map());
+  const isOwner = Boolean(userId) && owner === userId;
+  const isViewer = role === 'viewer';
+  const readOnly = isViewer || (locked && !isOwner);
+  const boardActions = useMemo(() => visibleActions(actions), [actions]);
+  const selectedActions = useMemo(
+    () => boardActions.filter((action) => selectedIds.includes(action.id) && !action.undone),
+    [boardActions, selectedIds]
+  );
+  const selectedAction = selectedActions.length === 1 ? selectedActions[0] : null;
+  const remoteCursors = useMemo(
+    () =>
+      Object.entries(cursors).map(([id, { x, y }]) => {
+        const peer = peers.find((p) => p.userId === id) || { userId: id };
+        return {
+          userId: id,
+          x,
+          y,
+          label: displayName(peer),
+          color: profileColor(peer)
+        };
+      }),
+    [cursors, peers]
+  );
   const socketRef = useRef(null);
   const fileInputRef = useRef(null);
+  const sceneInputRef = useRef(null);
 
   const shareUrl = useMemo(() => {
     const current = new URL(window.location.href);
     current.searchParams.set('room', roomId);
+    // Viewers can only pass on the view-only link they came in with.
+    if (!isViewer) current.searchParams.delete('key');
     return current.toString();
-  }, [roomId]);
+  }, [roomId, isViewer]);
+
+  const shareLinks = useMemo(() => {
+    if (!access?.editKey) return null;
+    const withKey = (key) => {
+      const url = new URL(shareUrl);
+      url.searchParams.set('key', key);
+      return url.toString();
+    };
+    return { edit: withKey(access.editKey), view: withKey(access.viewKey) };
+  }, [access, shareUrl]);
+
+  useEffect(() => {
+    if (readOnly) setTool('pan');
+  }, [readOnly]);
 
   useEffect(() => {
     actionsRef.current = actions;
   }, [actions]);
 
+  const persistCache = useCallback(() => {
+    saveRoomCache(roomId, {
+      actions: actionsRef.current,
+      lastSeq: lastSeqRef.current,
+      pending: outboxRef.current
+    });
+  }, [roomId]);
+
+  // Ops queued together (a paste of many elements) are written to the cache
+  // once, not once each.
+  const schedulePersist = useCallback(() => {
+    if (persistScheduledRef.current) return;
+    persistScheduledRef.current = true;
+    setTimeout(() => {
+      persistScheduledRef.current = false;
+      persistCache();
+    }, 0);
+  }, [persistCache]);
+
+  const flushOutbox = useCallback(() => {
+    const socket = socketRef.current;
+    if (!socket || !joinedRef.current) return;
+    const inFlight = inFlightRef.current;
+    const batch = outboxRef.current
+      .filter((op) => !inFlight.has(op.id))
+      .slice(0, OUTBOX_WINDOW - inFlight.size);
+    batch.forEach((op) => {
+      inFlight.add(op.id);
+      socket.emit(op.event, op.payload, () => {
+        inFlight.delete(op.id);
+        outboxRef.current = outboxRef.current.filter((queued) => queued.id !== op.id);
+        // The cache and the next batch wait for the whole window.
+        if (inFlight.size) return;
+        setPendingCount(outboxRef.current.length);
+        persistCache();
+        flushOutbox();
+      });
+    });
+  }, [persistCache]);
+
+  const sendOp = useCallback(
+    (event, payload) => {
+      outboxRef.current = [...outboxRef.current, { id: nanoid(), event, payload }];
+      setPendingCount(outboxRef.current.length);
+      schedulePersist();
+      flushOutbox();
+    },
+    [flushOutbox, schedulePersist]
+  );
+
+  const applySceneStyle = useCallback((style) => {
+    if (typeof style.strokeColor === 'string') setStrokeColor(style.strokeColor);
+    if (Number.isFinite(style.strokeWidth)) setStrokeWidth(style.strokeWidth);
+    setShapeStyle((prev) => mergeKnown(prev, style.shapeStyle));
+    setTextStyle((prev) => mergeKnown(prev, style.textStyle));
+    setArrowheads((prev) => mergeKnown(prev, style.arrowheads));
+  }, []);
+
+  // Restore the board and unsent changes from the last visit before joining.
+  useEffect(() => {
+    let cancelled = false;
+    loadRoomCache(roomId).then((cached) => {
+      if (cancelled) return;
+      if (cached) {
+        lastSeqRef.current = cached.lastSeq ?? null;
+        outboxRef.current = [...(cached.pending || []), ...outboxRef.current];
+        setPendingCount(outboxRef.current.length);
+        setActions(outboxRef.current.reduce(applyLocalOp, cached.actions || []));
+        // A scene opened into this new room brings its tool styles along.
+        if (cached.style) applySceneStyle(cached.style);
+      }
+      setCacheReady(true);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [roomId]);
+
   useEffect(() => {
+    if (!cacheReady) return undefined;
+    const timer = setTimeout(persistCache, 500);
+    return () => clearTimeout(timer);
+  }, [actions, cacheReady, persistCache]);
+
+  // Every join (connecting, reconnecting, retrying with a password) sends the
+  // same payload, built from the latest refs.
+  const joinRoom = useCallback(
+    (socket) => {
+      socket.emit('join-room', {
+        roomId,
+        token: sessionRef.current.token,
+        key: linkKeyRef.current,
+        password: passwordRef.current,
+        lastSeq: lastSeqRef.current,
+        profile: profileRef.current
+      });
+    },
+    [roomId]
+  );
+
+  useEffect(() => {
+    if (!cacheReady) return undefined;
     const socket = createSocket();
     socketRef.current = socket;
 
-    const joinRoom = () => {
-      socket.emit('join-room', { roomId, userId });
+    const notify = (type, message) => {
+      setNotification({ type, message });
+      setTimeout(() => setNotification(null), 3000);
+    };
+
+    const trackSeq = (seq) => {
+      if (typeof seq !== 'number') return;
+      lastSeqRef.current = Math.max(lastSeqRef.current ?? 0, seq);
     };
 
     socket.on('connect', () => {
       setIsConnected(true);
-      joinRoom();
+      joinRoom(socket);
     });
 
     socket.on('disconnect', () => {
       setIsConnected(false);
+      joinedRef.current = false;
+      inFlightRef.current = new Set();
     });
 
-    socket.on('room-state', ({ actions: serverActions = [], participants = [] }) => {
-      setActions(serverActions);
-      const unique = new Set(participants);
-      unique.add(userId);
-      setPeers(Array.from(unique));
+    socket.on('session', (next) => {
+      sessionRef.current = next;
+      storeSession(next);
+      setSession(next);
+      outboxRef.current = claimOps(outboxRef.current, next.userId);
+      setActions((prev) => claimActions(prev, next.userId));
     });
 
-    socket.on('action-added', (action) => {
+    socket.on('room-state', ({
+      seq,
+      events,
+      actions: serverActions = [],
+      participants = [],
+      role: joinedAs = 'editor',
+      access: roomAccess = null,
+      owner: roomOwner = null,
+      locked: roomLocked = false
+    }) => {
+      setJoinDenied(null);
+      setRole(joinedAs);
+      setAccess(roomAccess);
+      setOwner(roomOwner);
+      setLocked(roomLocked);
+      // Changes still in the outbox go back on top of what the server sent.
+      const pending = outboxRef.current;
       setActions((prev) => {
-        if (prev.some((a) => a.id === action.id)) {
-          return prev;
-        }
-        return [...prev, action];
+        const base = events
+          ? events.reduce(
+              (next, { event, payload }) => applyServerEvent(next, event, payload),
+              prev
+            )
+          : serverActions;
+        return pending.reduce(applyLocalOp, base);
       });
+      lastSeqRef.current = seq;
+      joinedRef.current = true;
+      flushOutbox();
+      const self = { ...profileRef.current, userId: sessionRef.current.userId };
+      setPeers(participants.reduce(upsertPeer, [self]));
     });
 
-    socket.on('action-undone', ({ actionId }) => {
-      setActions((prev) =>
-        prev.map((action) =>
-          action.id === actionId ? { ...action, undone: true } : action
-        )
-      );
+    socket.on('join-denied', ({ reason }) => {
+      if (reason === 'wrong-password') {
+        passwordRef.current = null;
+        storeRoomPassword(roomId, null);
+      }
+      setJoinDenied(reason);
     });
 
-    socket.on('action-redone', ({ actionId }) => {
-      setActions((prev) =>
-        prev.map((action) =>
-          action.id === actionId ? { ...action, undone: false } : action
-        )
-      );
+    // Only editors receive this; keep our own URL on the edit link so a
+    // reconnect still gets in.
+    socket.on('access-updated', (next) => {
+      setAccess(next);
+      if (next.editKey && linkKeyRef.current !== next.editKey) {
+        linkKeyRef.current = next.editKey;
+        setLinkKeyInUrl(next.editKey);
+      }
     });
 
-    socket.on('action-updated', ({ actionId, data }) => {
-      setActions((prev) =>
-        prev.map((action) =>
-          action.id === actionId ? { ...action, data } : action
-        )
-      );
+    socket.on('room-updated', ({ owner: roomOwner, locked: roomLocked }) => {
+      setOwner(roomOwner);
+      setLocked(roomLocked);
+    });
+
+    socket.on('role-changed', ({ role: nextRole, access: roomAccess }) => {
+      setRole(nextRole);
+      setAccess(roomAccess);
+    });
+
+    socket.on('kicked', () => {
+      joinedRef.current = false;
+      setJoinDenied('kicked');
+    });
+
+    SEQUENCED_EVENTS.forEach((event) => {
+      socket.on(event, (payload, seq) => {
+        trackSeq(seq);
+        // The server creates our board clears; undo brings the board back.
+        if (
+          event === 'action-added' &&
+          payload.type === 'clear' &&
+          payload.userId === sessionRef.current.userId
+        ) {
+          recordCommand(historyRef.current, { type: 'create', actionIds: [payload.id] });
+        }
+        setActions((prev) => applyServerEvent(prev, event, payload));
+      });
+    });
+
+    socket.on('action-ack', (_, seq) => {
+      trackSeq(seq);
+    });
+
+    socket.on('action-rejected', ({ actionId, reason, message, data }) => {
+      setActions((prev) => {
+        if (data) {
+          // Rejected update: restore the server's copy.
+          return prev.map((action) =>
+            action.id === actionId ? { ...action, data } : action
+          );
+        }
+        // Rejected create: drop the optimistic action.
+        return prev.filter((action) => action.id !== actionId);
+      });
+      notify('error', `Change rejected by server: ${message || reason}`);
     });
 
-    socket.on('user-joined', ({ userId: joined }) => {
-      if (!joined || joined === userId) return;
+    socket.on('user-joined', ({ userId: joined, profile: peer }) => {
+      if (!joined || joined === sessionRef.current.userId) return;
+      const known = { ...peer, userId: joined };
       setPeers((prev) => {
-        if (prev.includes(joined)) {
-          return prev;
+        if (prev.some((p) => p.userId === joined)) {
+          return upsertPeer(prev, known);
         }
-        setNotification({ type: 'join', message: 'Someone joined the room' });
-        setTimeout(() => setNotification(null), 3000);
-        return [...prev, joined];
+        notify('join', `${displayName(known)} joined the room`);
+        return [...prev, known];
       });
     });
 
-    socket.on('user-left', ({ userId: left }) => {
-      if (!left || left === userId) return;
+    socket.on('profile-updated', ({ userId: id, profile: peer }) => {
+      if (!id || id === sessionRef.current.userId) return;
+      setPeers((prev) => upsertPeer(prev, { ...peer, userId: id }));
+    });
+
+    socket.on('cursor-moved', ({ userId: id, x, y }) => {
+      if (id === sessionRef.current.userId) return;
+      setCursors((prev) => ({ ...prev, [id]: { x, y, seenAt: Date.now() } }));
+    });
+
+    socket.on('cursor-left', ({ userId: id }) => {
+      setCursors((prev) => dropCursor(prev, id));
+    });
+
+    socket.on('user-left', ({ userId: left, profile: peer }) => {
+      if (!left || left === sessionRef.current.userId) return;
+      setCursors((prev) => dropCursor(prev, left));
       setPeers((prev) => {
-        const filtered = prev.filter((id) => id !== left);
+        const filtered = prev.filter((p) => p.userId !== left);
         if (filtered.length !== prev.length) {
-          setNotification({ type: 'leave', message: 'Someone left the room' });
-          setTimeout(() => setNotification(null), 3000);
+          notify('leave', `${displayName({ ...peer, userId: left })} left the room`);
         }
         return filtered;
       });
@@ -149,73 +565,302 @@ export default function App() {
       socket.disconnect();
       socketRef.current = null;
     };
-  }, [roomId, userId]);
+  }, [roomId, cacheReady, flushOutbox, joinRoom]);
 
-  const handleCreateAction = useCallback(
-    (draft) => {
-      const action = {
-        ...draft,
+  // Hide cursors of peers who stopped moving.
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const cutoff = Date.now() - CURSOR_IDLE_MS;
+      setCursors((prev) => {
+        const stale = Object.keys(prev).filter((id) => prev[id].seenAt < cutoff);
+        return stale.length ? stale.reduce(dropCursor, prev) : prev;
+      });
+    }, 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Throttled to CURSOR_SEND_INTERVAL_MS, always sending the latest position.
+  const handleCursorMove = useCallback((point) => {
+    boardPointRef.current = point;
+    const state = cursorSendRef.current;
+    state.point = point;
+    if (state.timer) return;
+    const send = () => {
+      state.timer = null;
+      state.lastSent = Date.now();
+      if (joinedRef.current) {
+        socketRef.current?.emit('cursor-move', state.point);
+      }
+    };
+    const wait = CURSOR_SEND_INTERVAL_MS - (Date.now() - state.lastSent);
+    if (wait <= 0) {
+      send();
+    } else {
+      state.timer = setTimeout(send, wait);
+    }
+  }, []);
+
+  const handleSaveProfile = useCallback((next) => {
+    profileRef.current = next;
+    setProfile(next);
+    storeProfile(next);
+    setShowProfileDialog(false);
+    const id = sessionRef.current.userId;
+    if (id) setPeers((prev) => upsertPeer(prev, { ...next, userId: id }));
+    if (joinedRef.current) {
+      socketRef.current?.emit('update-profile', next);
+    }
+  }, []);
+
+  const handleCursorLeave = useCallback(() => {
+    boardPointRef.current = null;
+    const state = cursorSendRef.current;
+    clearTimeout(state.timer);
+    state.timer = null;
+    if (joinedRef.current) {
+      socketRef.current?.emit('cursor-leave');
+    }
+  }, []);
+
+  // Several drafts (a paste) are undone together. A draft may bring its own
+  // id when other drafts refer to it.
+  const handleCreateActions = useCallback(
+    (drafts) => {
+      const created = drafts.map((draft) => ({
         id: nanoid(),
+        ...draft,
         userId,
         timestamp: Date.now(),
         undone: false
-      };
-      setActions((prev) => [...prev, action]);
-      socketRef.current?.emit('add-action', action);
+      }));
+      setActions((prev) => [...prev, ...created]);
+      recordCommand(historyRef.current, {
+        type: 'create',
+        actionIds: created.map((action) => action.id)
+      });
+      created.forEach((action) => sendOp('add-action', action));
+      return created.map((action) => action.id);
     },
-    [userId]
+    [userId, sendOp]
   );
 
-  const handleUpdateAction = useCallback(
-    (actionId, data, options = {}) => {
+  const handleCreateAction = useCallback(
+    (draft) => handleCreateActions([draft]),
+    [handleCreateActions]
+  );
+
+  // `updates` is [{ actionId, data }]; several are sent as one change.
+  const applyUpdates = useCallback(
+    (updates, options = {}) => {
       const { broadcast = true, replace = false } = options;
+      const byId = new Map(updates.map(({ actionId, data }) => [actionId, data]));
       setActions((prev) =>
         prev.map((action) => {
-          if (action.id !== actionId) return action;
+          if (!byId.has(action.id)) return action;
+          const data = byId.get(action.id);
           const nextData = replace ? data : { ...action.data, ...data };
           return { ...action, data: nextData };
         })
       );
-      if (broadcast && socketRef.current) {
-        socketRef.current.emit('update-action', {
-          actionId,
-          data: replace ? data : { ...data },
-          replace,
-          userId
+      if (!broadcast) return;
+      if (updates.length === 1) {
+        const [{ actionId, data }] = updates;
+        sendOp('update-action', { actionId, data: { ...data }, replace });
+      } else {
+        sendOp('update-actions', {
+          updates: updates.map(({ actionId, data }) => ({ actionId, data, replace }))
         });
       }
     },
-    [userId]
+    [sendOp]
+  );
+
+  // Edits made on the board, recorded for undo once they are sent.
+  const handleUpdateActions = useCallback(
+    (updates, options = {}) => {
+      const { broadcast = true, replace = false } = options;
+      const bases = editBaseRef.current;
+      const dataOf = (id) => actionsRef.current.find((action) => action.id === id)?.data;
+      updates.forEach(({ actionId }) => {
+        if (!bases.has(actionId)) bases.set(actionId, dataOf(actionId));
+      });
+      if (broadcast) {
+        const command = editCommand(
+          updates.map(({ actionId, data }) => {
+            const before = bases.get(actionId);
+            bases.delete(actionId);
+            const after = replace ? data : { ...dataOf(actionId), ...data };
+            return { actionId, before, after };
+          })
+        );
+        if (command) recordCommand(historyRef.current, command);
+      }
+      applyUpdates(updates, options);
+    },
+    [applyUpdates]
+  );
+
+  const handleUpdateAction = useCallback(
+    (actionId, data, options) => handleUpdateActions([{ actionId, data }], options),
+    [handleUpdateActions]
+  );
+
+  const handleGroup = useCallback(() => {
+    if (selectedActions.length < 2) return;
+    const groupId = nanoid();
+    handleUpdateActions(selectedActions.map(({ id }) => ({ actionId: id, data: { groupId } })));
+  }, [selectedActions, handleUpdateActions]);
+
+  const handleUngroup = useCallback(() => {
+    const grouped = selectedActions.filter((action) => action.data.groupId);
+    if (!grouped.length) return;
+    handleUpdateActions(grouped.map(({ id }) => ({ actionId: id, data: { groupId: null } })));
+  }, [selectedActions, handleUpdateActions]);
+
+  // Hides elements behind one `delete` action, which undo brings back.
+  const handleDeleteActions = useCallback(
+    (actionIds) => {
+      if (!actionIds.length) return;
+      const action = {
+        id: nanoid(),
+        type: 'delete',
+        userId,
+        timestamp: Date.now(),
+        undone: false,
+        data: { actionIds }
+      };
+      setActions((prev) => [...prev, action]);
+      recordCommand(historyRef.current, { type: 'create', actionIds: [action.id] });
+      sendOp('delete-action', action);
+    },
+    [userId, sendOp]
+  );
+
+  const flushStyleEdit = useCallback(() => {
+    const pending = styleEditRef.current;
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    styleEditRef.current = null;
+    const before = editBaseRef.current.get(pending.actionId);
+    editBaseRef.current.delete(pending.actionId);
+    const command = editCommand([
+      { actionId: pending.actionId, before, after: { ...before, ...pending.data } }
+    ]);
+    if (command) recordCommand(historyRef.current, command);
+    sendOp('update-action', { actionId: pending.actionId, data: pending.data, replace: false });
+  }, [sendOp]);
+
+  // Sliders and color pickers fire on every move, so a selected element is
+  // restyled locally right away and the settled style is sent a moment later.
+  const handleStyleChange = useCallback(
+    (patch) => {
+      if (tool === 'select' && selectedAction) {
+        const { id } = selectedAction;
+        if (styleEditRef.current?.actionId !== id) flushStyleEdit();
+        const pending = styleEditRef.current;
+        clearTimeout(pending?.timer);
+        handleUpdateAction(id, patch, { broadcast: false });
+        styleEditRef.current = {
+          actionId: id,
+          data: { ...pending?.data, ...patch },
+          timer: setTimeout(flushStyleEdit, 250)
+        };
+        return;
+      }
+      const { strokeColor: color, strokeWidth: width, ...rest } = patch;
+      if (color !== undefined) setStrokeColor(color);
+      if (width !== undefined) setStrokeWidth(width);
+      setShapeStyle((prev) => ({ ...prev, ...rest }));
+    },
+    [tool, selectedAction, handleUpdateAction, flushStyleEdit]
+  );
+
+  // Undoing a creation marks the action undone; undoing an edit sends the
+  // previous data back, which the server validates like any other edit.
+  const runCommand = useCallback(
+    (command, direction) => {
+      if (command.type === 'create') {
+        const undone = direction === 'undo';
+        setActions((prev) =>
+          prev.map((action) =>
+            command.actionIds.includes(action.id) ? { ...action, undone } : action
+          )
+        );
+        command.actionIds.forEach((actionId) => {
+          sendOp(undone ? 'undo-action' : 'redo-action', { actionId });
+        });
+        return;
+      }
+      applyUpdates(commandUpdates(command, direction), { replace: true });
+    },
+    [applyUpdates, sendOp]
   );
 
   const handleUndo = useCallback(() => {
-    const last = [...actionsRef.current]
-      .reverse()
-      .find((action) => action.userId === userId && !action.undone);
-    if (!last) return;
-    setActions((prev) =>
-      prev.map((action) =>
-        action.id === last.id ? { ...action, undone: true } : action
-      )
-    );
-    socketRef.current?.emit('undo-action', { actionId: last.id, userId });
-  }, [userId]);
+    flushStyleEdit();
+    const history = historyRef.current;
+    const command =
+      popCommand(history.undo, actionsRef.current) || lastCreation(actionsRef.current, userId);
+    if (!command) return;
+    runCommand(command, 'undo');
+    history.redo.push(command);
+  }, [userId, runCommand, flushStyleEdit]);
 
   const handleRedo = useCallback(() => {
-    const candidate = [...actionsRef.current]
-      .reverse()
-      .find((action) => action.userId === userId && action.undone);
-    if (!candidate) return;
-    setActions((prev) =>
-      prev.map((action) =>
-        action.id === candidate.id ? { ...action, undone: false } : action
-      )
-    );
-    socketRef.current?.emit('redo-action', { actionId: candidate.id, userId });
-  }, [userId]);
+    const history = historyRef.current;
+    const command = popCommand(history.redo, actionsRef.current);
+    if (!command) return;
+    runCommand(command, 'redo');
+    history.undo.push(command);
+  }, [runCommand]);
+
+  // New copies of `elements` become the selection.
+  const pasteElements = useCallback(
+    (elements, at) => {
+      const ids = handleCreateActions(cloneElements(elements, at));
+      setTool('select');
+      setSelectedIds(ids);
+    },
+    [handleCreateActions]
+  );
+
+  const copySelection = useCallback(() => {
+    const byId = new Map(actionsRef.current.map((action) => [action.id, action]));
+    return copyElements(selectedActions, (id) => byId.get(id));
+  }, [selectedActions]);
+
+  const handleDuplicate = useCallback(() => {
+    if (selectedActions.length) pasteElements(copySelection(), null);
+  }, [selectedActions, pasteElements, copySelection]);
+
+  const handleSubmitPassword = useCallback(
+    (password) => {
+      passwordRef.current = password;
+      storeRoomPassword(roomId, password);
+      if (socketRef.current) joinRoom(socketRef.current);
+    },
+    [roomId, joinRoom]
+  );
+
+  const handleConfigureAccess = useCallback(
+    ({ password }) => {
+      if (password) {
+        passwordRef.current = password;
+        storeRoomPassword(roomId, password);
+      }
+      socketRef.current?.emit('configure-access', { password });
+    },
+    [roomId]
+  );
+
+  const moderate = useCallback((event, payload) => {
+    socketRef.current?.emit(event, payload);
+  }, []);
 
   useEffect(() => {
     const handler = (event) => {
+      // Text fields keep their own undo.
+      if (readOnly || event.target.closest?.('input, textarea')) return;
       const key = event.key.toLowerCase();
       if ((event.metaKey || event.ctrlKey) && key === 'z') {
         event.preventDefault();
@@ -224,46 +869,243 @@ export default function App() {
         } else {
           handleUndo();
         }
+      } else if ((event.metaKey || event.ctrlKey) && key === 'g') {
+        event.preventDefault();
+        if (event.shiftKey) {
+          handleUngroup();
+        } else {
+          handleGroup();
+        }
+      } else if ((event.metaKey || event.ctrlKey) && key === 'd') {
+        event.preventDefault();
+        handleDuplicate();
+      } else if ((key === 'delete' || key === 'backspace') && selectedActions.length) {
+        event.preventDefault();
+        handleDeleteActions(selectedActions.map(({ id }) => id));
       }
     };
     window.addEventListener('keydown', handler);
     return () => window.removeEventListener('keydown', handler);
-  }, [handleUndo, handleRedo]);
+  }, [
+    handleUndo,
+    handleRedo,
+    handleGroup,
+    handleUngroup,
+    handleDeleteActions,
+    handleDuplicate,
+    selectedActions,
+    readOnly
+  ]);
+
+  // Copy and paste go through the clipboard events, which need no
+  // permission prompt. Pasted image files and SVG markup are placed like an
+  // uploaded image.
+  useEffect(() => {
+    const inTextField = (event) => event.target.closest?.('input, textarea');
+    const handleCopy = (event) => {
+      if (inTextField(event) || !selectedActions.length) return;
+      event.preventDefault();
+      event.clipboardData.setData('text/plain', serializeElements(copySelection()));
+    };
+    const handlePaste = (event) => {
+      if (readOnly || inTextField(event)) return;
+      const { clipboardData } = event;
+      const image = Array.from(clipboardData.files).find(isImageFile);
+      if (image) {
+        event.preventDefault();
+        readImageFile(image);
+        return;
+      }
+      const text = clipboardData.getData('text/plain');
+      const elements = parseElements(text);
+      if (elements) {
+        event.preventDefault();
+        pasteElements(elements, boardPointRef.current);
+      } else if (isSvgMarkup(text)) {
+        event.preventDefault();
+        placeImage(svgToDataUrl(text));
+      }
+    };
+    window.addEventListener('copy', handleCopy);
+    window.addEventListener('paste', handlePaste);
+    return () => {
+      window.removeEventListener('copy', handleCopy);
+      window.removeEventListener('paste', handlePaste);
+    };
+  });
 
   const handleShare = () => {
     setShowShareModal(true);
   };
 
-  const onImageChosen = (event) => {
+  const handleSaveScene = () => {
+    const byId = new Map(actionsRef.current.map((action) => [action.id, action]));
+    const shown = boardActions.filter((action) => !action.undone);
+    if (!shown.length) {
+      showError('There is nothing to save');
+      return;
+    }
+    const style = { strokeColor, strokeWidth, shapeStyle, textStyle, arrowheads };
+    const scene = serializeScene(shown, (id) => byId.get(id), style);
+    downloadBlob(new Blob([scene], { type: 'application/json' }), `whiteboard-${roomId}.json`);
+  };
+
+  const onSceneChosen = (event) => {
     const [file] = event.target.files || [];
+    event.target.value = '';
     if (!file) return;
-    const reader = new FileReader();
-    reader.onload = () => {
-      const img = new Image();
-      img.onload = () => {
-        const max = 360;
-        let width = img.width;
-        let height = img.height;
-        if (width > max || height > max) {
-          const scale = Math.min(max / width, max / height);
-          width = Math.round(width * scale);
-          height = Math.round(height * scale);
+    readScene(file).then((scene) => {
+      if (scene) setOpenedScene(scene);
+    });
+  };
+
+  // Elements keep their saved positions, under new ids.
+  const openSceneHere = () => {
+    const scene = openedScene;
+    setOpenedScene(null);
+    applySceneStyle(scene.style);
+    const ids = handleCreateActions(cloneElements(scene.elements, null, 0));
+    setTool('select');
+    setSelectedIds(ids);
+  };
+
+  // The new room's offline cache is seeded with the scene as unsent
+  // changes, which go out once we have joined it.
+  const openSceneInNewRoom = () => {
+    const scene = openedScene;
+    const timestamp = Date.now();
+    const pending = cloneElements(scene.elements, null, 0).map((draft) => ({
+      id: nanoid(),
+      event: 'add-action',
+      payload: { ...draft, userId, timestamp, undone: false }
+    }));
+    const room = nanoid(8);
+    saveRoomCache(room, { actions: [], lastSeq: null, pending, style: scene.style }).then(() => {
+      const url = new URL(window.location.href);
+      url.searchParams.set('room', room);
+      url.searchParams.delete('key');
+      window.location.assign(url.toString());
+    });
+  };
+
+  const handleViewportChange = useCallback((viewport) => {
+    viewportRef.current = viewport;
+  }, []);
+
+  // The viewport export keeps whatever is in view, cut at its edges.
+  const handleExport = ({ format, area, scale, background }) => {
+    const byId = new Map(actionsRef.current.map((action) => [action.id, action]));
+    const findAction = (id) => byId.get(id);
+    const shown = boardActions.filter((action) => !action.undone);
+    const actions = area === 'selection' ? selectedActions : shown;
+    const bounds = area === 'viewport' ? viewportRef.current : exportBounds(actions, findAction);
+    if (!bounds || !actions.length) {
+      showError('There is nothing to export');
+      return Promise.resolve();
+    }
+    const options = { bounds, scale, background, findAction };
+    const rendered = {
+      png: () => renderToPng(actions, options),
+      svg: () => renderToSvg(actions, options).then(svgBlob),
+      pdf: () => renderToPdf(actions, options)
+    }[format]();
+    return rendered
+      .then((blob) => {
+        downloadBlob(blob, `whiteboard-${roomId}.${format}`);
+        setShowExportDialog(false);
+      })
+      .catch((err) => {
+        console.error('Export failed', err);
+        showError('Export failed');
+      });
+  };
+
+  const showError = (message) => {
+    setNotification({ type: 'error', message });
+    setTimeout(() => setNotification(null), 3000);
+  };
+
+  // Switches to the image tool to place the image with a drag.
+  const placeImage = (src) => {
+    loadImage(src)
+      .then((image) => {
+        setPendingImage(image);
+        setTool('image');
+      })
+      .catch(() => showError('Could not read that image'));
+  };
+
+  const readImageFile = (file) => {
+    readFile(file, 'dataURL').then(placeImage);
+  };
+
+  // Reads a scene file, reporting why it can't be opened; resolves to null
+  // then.
+  const readScene = (file) =>
+    readFile(file, 'text')
+      .then((text) => ({ ...parseScene(text), name: file.name }))
+      .catch((err) => {
+        showError(err instanceof SceneError ? `${file.name}: ${err.message}` : err.message);
+        return null;
+      });
+
+  // Dropped images go straight onto the board side by side, centered on the
+  // drop point; dropped scene files are pasted there.
+  const handleDropFiles = (files, at) => {
+    if (readOnly) return;
+    files.filter(isSceneFile).forEach((file) => {
+      readScene(file).then((scene) => {
+        if (!scene) return;
+        pasteElements(scene.elements, at);
+        if (scene.skipped.length) {
+          showError(`${file.name}: ${scene.skipped.length} elements could not be imported`);
         }
-        setPendingImage({
-          src: reader.result,
-          width,
-          height
+      });
+    });
+    const images = files.filter(isImageFile);
+    if (!images.length) return;
+    Promise.all(images.map((file) => readFile(file, 'dataURL').then(loadImage)))
+      .then((loaded) => {
+        const gap = 16;
+        const total =
+          loaded.reduce((sum, image) => sum + image.width, 0) + gap * (loaded.length - 1);
+        let x = at.x - total / 2;
+        const drafts = loaded.map(({ src, width, height }) => {
+          const data = {
+            x,
+            y: at.y - height / 2,
+            width,
+            height,
+            src,
+            ...styleFor('image', shapeStyle)
+          };
+          x += width + gap;
+          return { type: 'image', data };
         });
-        setTool('image');
-      };
-      img.src = reader.result;
-    };
-    reader.readAsDataURL(file);
+        const ids = handleCreateActions(drafts);
+        setTool('select');
+        setSelectedIds(ids);
+      })
+      .catch(() => showError('Could not read the dropped images'));
+  };
+
+  const onImageChosen = (event) => {
+    const [file] = event.target.files || [];
+    if (!file) return;
+    readImageFile(file);
     event.target.value = '';
   };
 
-  const participantLabel =
-    peers.length === 1 ? '1 person' : `${peers.length} people`;
+  let roleLabel = 'Editing';
+  if (isViewer) roleLabel = 'View only';
+  else if (readOnly) roleLabel = 'Locked';
+  else if (isOwner) roleLabel = 'Owner';
+
+  const styleTarget = tool === 'select' ? selectedAction : null;
+
+  const visibleTools = readOnly
+    ? TOOLBAR.filter(({ id }) => id === 'pan')
+    : TOOLBAR;
 
   return (
     <div className="app">
@@ -274,9 +1116,19 @@ export default function App() {
           <span className="status-label">
             {isConnected ? 'Live' : 'Offline'}
           </span>
+          <span
+            className={`sync-status ${pendingCount ? 'pending' : 'synced'}`}
+            title={
+              pendingCount
+                ? 'Changes saved on this device, waiting to reach the server'
+                : 'All changes are on the server'
+            }
+          >
+            {pendingCount ? `${pendingCount} pending` : 'Synced'}
+          </span>
         </div>
         <div className="tools">
-          {TOOLBAR.map(({ id, label, icon }) => (
+          {visibleTools.map(({ id, label, icon }) => (
             <button
               key={id}
               className={`tool ${tool === id ? 'active' : ''}`}
@@ -287,39 +1139,128 @@ export default function App() {
               <span className="tool-label">{label}</span>
             </button>
           ))}
-          <label className="input color">
-            <span>Stroke</span>
-            <input
-              type="color"
-              value={strokeColor}
-              onChange={(e) => setStrokeColor(e.target.value)}
-            />
-          </label>
-          <label className="input range">
-            <span>Width</span>
-            <input
-              type="range"
-              min="1"
-              max="12"
-              value={strokeWidth}
-              onChange={(e) => setStrokeWidth(Number(e.target.value))}
-            />
-          </label>
-          <button className="tool" onClick={handleUndo} title="Undo (Ctrl+Z)">
-            <span className="tool-icon">↶</span>
-            <span className="tool-label">Undo</span>
+          {!readOnly && (
+            <>
+              {tool === 'text' && (
+                <>
+                  <label className="input select">
+                    <span>Font</span>
+                    <select
+                      value={textStyle.fontFamily}
+                      onChange={(e) =>
+                        setTextStyle((prev) => ({ ...prev, fontFamily: e.target.value }))
+                      }
+                    >
+                      {Object.keys(FONT_FAMILIES).map((family) => (
+                        <option key={family} value={family}>
+                          {family}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="input select">
+                    <span>Size</span>
+                    <select
+                      value={textStyle.fontSize}
+                      onChange={(e) =>
+                        setTextStyle((prev) => ({ ...prev, fontSize: Number(e.target.value) }))
+                      }
+                    >
+                      {FONT_SIZES.map((size) => (
+                        <option key={size} value={size}>
+                          {size}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="input select">
+                    <span>Align</span>
+                    <select
+                      value={textStyle.textAlign}
+                      onChange={(e) =>
+                        setTextStyle((prev) => ({ ...prev, textAlign: e.target.value }))
+                      }
+                    >
+                      {TEXT_ALIGNS.map((align) => (
+                        <option key={align} value={align}>
+                          {align}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                </>
+              )}
+              {tool === 'arrow' &&
+                ['start', 'end'].map((end) => (
+                  <label key={end} className="input select">
+                    <span>{end === 'start' ? 'Start' : 'End'}</span>
+                    <select
+                      value={arrowheads[end] || 'none'}
+                      onChange={(e) => {
+                        const { value } = e.target;
+                        setArrowheads((prev) => ({
+                          ...prev,
+                          [end]: value === 'none' ? null : value
+                        }));
+                      }}
+                    >
+                      {['none', ...ARROWHEADS].map((kind) => (
+                        <option key={kind} value={kind}>
+                          {kind}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              {tool === 'select' && selectedActions.length > 1 && (
+                <button className="tool" onClick={handleGroup} title="Group (Ctrl+G)">
+                  <span className="tool-icon">⧉</span>
+                  <span className="tool-label">Group</span>
+                </button>
+              )}
+              {tool === 'select' && selectedActions.some((action) => action.data.groupId) && (
+                <button className="tool" onClick={handleUngroup} title="Ungroup (Ctrl+Shift+G)">
+                  <span className="tool-icon">⧈</span>
+                  <span className="tool-label">Ungroup</span>
+                </button>
+              )}
+              <button className="tool" onClick={handleUndo} title="Undo (Ctrl+Z)">
+                <span className="tool-icon">↶</span>
+                <span className="tool-label">Undo</span>
+              </button>
+              <button className="tool" onClick={handleRedo} title="Redo (Ctrl+Shift+Z)">
+                <span className="tool-icon">↷</span>
+                <span className="tool-label">Redo</span>
+              </button>
+              <button
+                className="tool"
+                onClick={() => fileInputRef.current?.click()}
+                title="Upload an image to place on canvas"
+              >
+                <span className="tool-icon">📤</span>
+                <span className="tool-label">Upload</span>
+              </button>
+            </>
+          )}
+          <button className="tool" onClick={handleSaveScene} title="Save the board as a scene file">
+            <span className="tool-icon">💾</span>
+            <span className="tool-label">Save</span>
           </button>
-          <button className="tool" onClick={handleRedo} title="Redo (Ctrl+Shift+Z)">
-            <span className="tool-icon">↷</span>
-            <span className="tool-label">Redo</span>
+          <button
+            className="tool"
+            onClick={() => sceneInputRef.current?.click()}
+            title="Open a scene or Excalidraw file"
+          >
+            <span className="tool-icon">📂</span>
+            <span className="tool-label">Open</span>
           </button>
           <button
             className="tool"
-            onClick={() => fileInputRef.current?.click()}
-            title="Upload an image to place on canvas"
+            onClick={() => setShowExportDialog(true)}
+            title="Export as PNG, SVG or PDF"
           >
-            <span className="tool-icon">📤</span>
-            <span className="tool-label">Upload</span>
+            <span className="tool-icon">🖨️</span>
+            <span className="tool-label">Export</span>
           </button>
           <button className="tool primary share-button" onClick={handleShare} title="Share room link">
             <span className="tool-icon">🔗</span>
@@ -332,16 +1273,33 @@ export default function App() {
             onChange={onImageChosen}
             hidden
           />
+          <input
+            ref={sceneInputRef}
+            type="file"
+            accept=".json,.excalidraw,application/json"
+            onChange={onSceneChosen}
+            hidden
+          />
         </div>
         <div className="room-info">
           <div className="room-id-row">
             <span className="room-label-small">Room:</span>
             <span className="room-id">{roomId}</span>
+            <span className={`role-badge role-${readOnly ? 'viewer' : 'editor'}`}>
+              {roleLabel}
+            </span>
           </div>
-          <div className="peers-row">
-            <span className="peers-icon">👥</span>
-            <span className="peers">{participantLabel}</span>
-          </div>
+          <ParticipantList
+            peers={peers}
+            userId={userId}
+            owner={owner}
+            locked={locked}
+            onKick={(id) => moderate('kick-user', { userId: id })}
+            onTransferOwnership={(id) => moderate('transfer-ownership', { userId: id })}
+            onClearBoard={() => moderate('clear-board')}
+            onToggleLock={() => moderate('lock-room', { locked: !locked })}
+            onEditProfile={() => setShowProfileDialog(true)}
+          />
         </div>
       </header>
 
@@ -355,35 +1313,85 @@ export default function App() {
       {notification && (
         <div className={`notification notification-${notification.type}`}>
           <span className="notification-icon">
-            {notification.type === 'join' ? '👋' : '👋'}
+            {notification.type === 'error' ? '⚠️' : '👋'}
           </span>
           <span>{notification.message}</span>
         </div>
       )}
 
+      {!readOnly && (styleTarget || TOOL_TYPES[tool]) && (
+        <StylePanel
+          type={styleTarget ? styleTarget.type : TOOL_TYPES[tool]}
+          values={styleTarget ? styleTarget.data : { ...shapeStyle, strokeColor, strokeWidth }}
+          onChange={handleStyleChange}
+        />
+      )}
+
       <Canvas
-        actions={actions}
+        actions={boardActions}
         tool={tool}
         strokeColor={strokeColor}
         strokeWidth={strokeWidth}
+        textStyle={textStyle}
+        arrowheads={arrowheads}
+        shapeStyle={shapeStyle}
         userId={userId}
+        readOnly={readOnly}
+        cursors={remoteCursors}
+        onCursorMove={handleCursorMove}
+        onCursorLeave={handleCursorLeave}
         onCreateAction={handleCreateAction}
         onUpdateAction={handleUpdateAction}
+        onUpdateActions={handleUpdateActions}
+        selectionIds={selectedIds}
+        onSelectionChange={setSelectedIds}
+        onDeleteActions={handleDeleteActions}
+        isOwner={isOwner}
         pendingImage={pendingImage}
         onConsumeImage={() => setPendingImage(null)}
+        onDropFiles={handleDropFiles}
+        onViewportChange={handleViewportChange}
+      />
+
+      <ProfileDialog
+        isOpen={showProfileDialog}
+        profile={profile}
+        onSave={handleSaveProfile}
+        onClose={() => setShowProfileDialog(false)}
+      />
+
+      <SceneDialog
+        scene={openedScene}
+        canEdit={!readOnly}
+        onOpenHere={openSceneHere}
+        onOpenNew={openSceneInNewRoom}
+        onClose={() => setOpenedScene(null)}
+      />
+
+      <ExportDialog
+        isOpen={showExportDialog}
+        hasSelection={selectedActions.length > 0}
+        onExport={handleExport}
+        onClose={() => setShowExportDialog(false)}
       />
 
       <ShareModal
         isOpen={showShareModal}
         onClose={() => setShowShareModal(false)}
         shareUrl={shareUrl}
+        links={shareLinks}
+        access={access}
+        canConfigure={isOwner}
+        onConfigureAccess={handleConfigureAccess}
         roomId={roomId}
       />
 
+      <PasswordPrompt reason={joinDenied} onSubmit={handleSubmitPassword} />
+
       <footer className="footer">
         <div className="footer-section">
           <span className="footer-label">You:</span>
-          <span className="user-id">{userId}</span>
+          <span className="user-id">{profile.name || userId || '…'}</span>
         </div>
         <div className="footer-section">
           <span className="footer-label">Participants:</span>
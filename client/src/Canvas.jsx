@@ -1,14 +1,73 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import {
+  DEFAULT_TEXT_WIDTH,
+  FONT_FAMILIES,
+  LINE_HEIGHT,
+  layoutText
+} from './text.js';
+import {
+  HANDLES,
+  boxCenter,
+  boxContains,
+  boxCorners,
+  boxHit,
+  elementBounds,
+  findBindTarget,
+  hitPolyline,
+  isBoxed,
+  isLinear,
+  moveElement,
+  normalizeBox,
+  resizeBox,
+  resolvePoints,
+  rotateElement,
+  rotatePoint,
+  scaleElement,
+  selectionFrame
+} from './geometry.js';
+import { styleFor } from './style.js';
+import { drawAction, drawGrid } from './draw.js';
+import { createSpatialIndex, queryBox, queryPoint, updateSpatialIndex } from './spatialIndex.js';
 
 const MIN_RESIZE = 12;
 const MAX_SCALE = 4;
 const MIN_SCALE = 0.25;
+// Screen pixels: a shorter drag counts as a click, and clicking this close to
+// the previous point finishes a line.
+const CLICK_DISTANCE = 6;
+// How far past each screen edge the cached elements reach, as a fraction of
+// the screen, so panning only moves the bitmap.
+const CACHE_MARGIN = 0.5;
+// Screen pixels: size of a transform handle, and how far above the frame the
+// rotation handle sits.
+const HANDLE_SIZE = 8;
+const ROTATE_OFFSET = 24;
+// Shift-rotating snaps to 15 degree steps.
+const ROTATE_SNAP = Math.PI / 12;
+
+const TRANSFORM_MODES = ['move', 'resize', 'rotate'];
+
+const HANDLE_CURSORS = {
+  nw: 'nwse-resize',
+  se: 'nwse-resize',
+  ne: 'nesw-resize',
+  sw: 'nesw-resize',
+  n: 'ns-resize',
+  s: 'ns-resize',
+  e: 'ew-resize',
+  w: 'ew-resize',
+  rotate: 'grab'
+};
 
 const TOOL_CURSOR = {
   pen: 'crosshair',
   rect: 'crosshair',
   ellipse: 'crosshair',
+  line: 'crosshair',
+  arrow: 'crosshair',
   image: 'crosshair',
+  text: 'text',
+  eraser: 'cell',
   select: 'default',
   pan: 'grab'
 };
@@ -17,134 +76,217 @@ function clamp(value, min, max) {
   return Math.min(max, Math.max(min, value));
 }
 
-function normalizeBox({ x, y, width, height }) {
-  const normalized = {
-    x,
-    y,
-    width,
-    height
-  };
-  if (width < 0) {
-    normalized.x = x + width;
-    normalized.width = Math.abs(width);
-  } else {
-    normalized.width = width;
-  }
-  if (height < 0) {
-    normalized.y = y + height;
-    normalized.height = Math.abs(height);
-  } else {
-    normalized.height = height;
-  }
-  return normalized;
+// World position of a point given as fractions of the frame's width and height.
+function framePoint({ box, angle }, fx, fy) {
+  const point = { x: box.x + box.width * fx, y: box.y + box.height * fy };
+  return rotatePoint(point, boxCenter(box), angle);
 }
 
-function drawAction(ctx, action, helpers) {
-  switch (action.type) {
-    case 'path':
-      drawPath(ctx, action.data);
-      break;
-    case 'rect':
-      drawRect(ctx, action.data);
-      break;
-    case 'ellipse':
-      drawEllipse(ctx, action.data);
-      break;
-    case 'image':
-      drawImage(ctx, action.data, helpers);
-      break;
-    default:
-      break;
-  }
+function rotateHandlePoint({ box, angle }, scale) {
+  const point = { x: box.x + box.width / 2, y: box.y - ROTATE_OFFSET / scale };
+  return rotatePoint(point, boxCenter(box), angle);
 }
 
-function drawPath(ctx, data) {
-  const { points, strokeColor, strokeWidth } = data;
-  if (!points || points.length < 2) return;
-  ctx.strokeStyle = strokeColor;
-  ctx.lineWidth = strokeWidth;
-  ctx.lineJoin = 'round';
-  ctx.lineCap = 'round';
+function strokeOutline(ctx, corners) {
   ctx.beginPath();
-  ctx.moveTo(points[0], points[1]);
-  for (let i = 2; i < points.length; i += 2) {
-    ctx.lineTo(points[i], points[i + 1]);
+  ctx.moveTo(corners[0], corners[1]);
+  for (let i = 2; i < corners.length; i += 2) {
+    ctx.lineTo(corners[i], corners[i + 1]);
   }
+  ctx.closePath();
   ctx.stroke();
 }
 
-function drawRect(ctx, data) {
-  const box = normalizeBox(data);
-  ctx.strokeStyle = data.strokeColor;
-  ctx.lineWidth = data.strokeWidth;
-  ctx.strokeRect(box.x, box.y, box.width, box.height);
-}
-
-function drawEllipse(ctx, data) {
-  const box = normalizeBox(data);
-  ctx.strokeStyle = data.strokeColor;
-  ctx.lineWidth = data.strokeWidth;
+// Dashed outlines around the selected elements, then the transform frame with
+// its eight resize handles and the rotation handle above it. Several
+// elements also get a solid outline around them all.
+function drawSelection(ctx, selected, helpers) {
+  if (!selected.length) return;
+  const scale = ctx.getTransform().a;
+  ctx.save();
+  ctx.setLineDash([6, 4]);
+  ctx.strokeStyle = '#2563eb';
+  ctx.lineWidth = 1 / scale;
+  selected.forEach((action) => {
+    if (isBoxed(action)) {
+      strokeOutline(ctx, boxCorners(normalizeBox(action.data), action.data.angle));
+      return;
+    }
+    const box = elementBounds(action, helpers.findAction);
+    ctx.strokeRect(box.x, box.y, box.width, box.height);
+  });
+  ctx.setLineDash([]);
+  // A single line is moved as a whole; everything else can be transformed.
+  if (selected.length === 1 && isLinear(selected[0])) {
+    ctx.restore();
+    return;
+  }
+  const frame = selectionFrame(selected, helpers.findAction);
+  if (selected.length > 1) strokeOutline(ctx, boxCorners(frame.box));
+  const top = framePoint(frame, 0.5, 0);
+  const rotate = rotateHandlePoint(frame, scale);
   ctx.beginPath();
-  ctx.ellipse(
-    box.x + box.width / 2,
-    box.y + box.height / 2,
-    Math.max(1, box.width / 2),
-    Math.max(1, box.height / 2),
-    0,
-    0,
-    Math.PI * 2
-  );
+  ctx.moveTo(top.x, top.y);
+  ctx.lineTo(rotate.x, rotate.y);
+  ctx.stroke();
+  ctx.fillStyle = '#ffffff';
+  const size = HANDLE_SIZE / scale;
+  Object.values(HANDLES).forEach(([fx, fy]) => {
+    const point = framePoint(frame, fx, fy);
+    ctx.fillRect(point.x - size / 2, point.y - size / 2, size, size);
+    ctx.strokeRect(point.x - size / 2, point.y - size / 2, size, size);
+  });
+  ctx.beginPath();
+  ctx.arc(rotate.x, rotate.y, size / 2, 0, Math.PI * 2);
+  ctx.fill();
   ctx.stroke();
+  ctx.restore();
 }
 
-function drawImage(ctx, data, helpers) {
-  if (!data?.src) return;
-  const { imageCache, onImageLoad } = helpers;
-  let cached = imageCache.current.get(data.src);
-  if (!cached) {
-    const img = new Image();
-    img.onload = () => {
-      cached.loaded = true;
-      cached.width = img.width;
-      cached.height = img.height;
-      cached.element = img;
-      cached.callbacks.forEach((cb) => cb());
-      cached.callbacks = [];
-    };
-    img.src = data.src;
-    cached = {
-      loaded: false,
-      element: img,
-      callbacks: []
-    };
-    imageCache.current.set(data.src, cached);
+// Turns elements about the frame center by the angle the pointer swept from
+// `anchor`. Snapping lands the frame's own angle on a whole step.
+function rotateTransform(frame, anchor, world, snap) {
+  const center = boxCenter(frame.box);
+  let delta =
+    Math.atan2(world.y - center.y, world.x - center.x) -
+    Math.atan2(anchor.y - center.y, anchor.x - center.x);
+  if (snap) {
+    delta = Math.round((frame.angle + delta) / ROTATE_SNAP) * ROTATE_SNAP - frame.angle;
   }
-  if (!cached.loaded && onImageLoad && !cached.callbacks.includes(onImageLoad)) {
-    cached.callbacks.push(onImageLoad);
+  return (data) => rotateElement(data, center, delta);
+}
+
+// Resizes elements with their frame. Only a lone element has a rotated
+// frame, and it takes the new box as is; an upright frame scales whatever
+// is inside it.
+function resizeTransform(frame, handle, dx, dy, { shiftKey, altKey }) {
+  const { box, angle } = frame;
+  const local = rotatePoint({ x: dx, y: dy }, { x: 0, y: 0 }, -angle);
+  const next = resizeBox(box, handle, local.x, local.y, {
+    keepAspect: shiftKey,
+    fromCenter: altKey,
+    minSize: MIN_RESIZE
+  });
+  if (angle) {
+    const center = rotatePoint(boxCenter(next), boxCenter(box), angle);
+    return (data) => ({
+      ...data,
+      x: center.x - next.width / 2,
+      y: center.y - next.height / 2,
+      width: next.width,
+      height: next.height
+    });
   }
-  if (cached.loaded) {
-    ctx.drawImage(cached.element, data.x, data.y, data.width, data.height);
+  const scaleX = box.width ? next.width / box.width : 1;
+  const scaleY = box.height ? next.height / box.height : 1;
+  return (data) =>
+    moveElement(scaleElement(data, box, scaleX, scaleY), next.x - box.x, next.y - box.y);
+}
+
+// Draws the elements around the screen into an offscreen canvas reaching
+// CACHE_MARGIN of the screen past each edge. Its pixels line up with the
+// screen's for the view it was drawn at, so after a whole-pixel pan it is
+// copied back as sharp as drawing afresh.
+function renderContent(canvas, { index, view, dimensions, helpers, hidden, erasing }) {
+  const marginX = Math.ceil(dimensions.width * CACHE_MARGIN);
+  const marginY = Math.ceil(dimensions.height * CACHE_MARGIN);
+  const width = dimensions.width + marginX * 2;
+  const height = dimensions.height + marginY * 2;
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
   }
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  const originX = view.offsetX + marginX;
+  const originY = view.offsetY + marginY;
+  ctx.setTransform(view.scale, 0, 0, view.scale, originX, originY);
+  const area = {
+    x: -originX / view.scale,
+    y: -originY / view.scale,
+    width: width / view.scale,
+    height: height / view.scale
+  };
+  queryBox(index, area).forEach((action) => {
+    if (hidden.has(action.id)) return;
+    if (erasing.has(action.id)) {
+      ctx.save();
+      ctx.globalAlpha = 0.25;
+      drawAction(ctx, action, helpers);
+      ctx.restore();
+      return;
+    }
+    drawAction(ctx, action, helpers);
+  });
+  return {
+    canvas,
+    scale: view.scale,
+    offsetX: view.offsetX,
+    offsetY: view.offsetY,
+    marginX,
+    marginY
+  };
+}
+
+// Whether `next` differs from `previous` only in the elements listed in `ids`.
+function changedOnly(previous, next, ids) {
+  return (
+    previous.length === next.length &&
+    next.every(
+      (action, i) => action === previous[i] || (ids.has(action.id) && previous[i].id === action.id)
+    )
+  );
+}
+
+// Whether the cached elements, drawn at the same zoom, still cover the screen.
+function cacheCovers(cache, view, dimensions) {
+  if (!cache || cache.scale !== view.scale) return false;
+  const x = view.offsetX - cache.offsetX - cache.marginX;
+  const y = view.offsetY - cache.offsetY - cache.marginY;
+  return (
+    x <= 0 &&
+    y <= 0 &&
+    x + cache.canvas.width >= dimensions.width &&
+    y + cache.canvas.height >= dimensions.height
+  );
 }
 
-function drawSelection(ctx, action) {
-  if (!action) return;
-  const { data } = action;
-  if (!data) return;
-  const box = normalizeBox(data);
+function drawMarquee(ctx, box) {
   ctx.save();
-  ctx.setLineDash([6, 4]);
+  ctx.fillStyle = 'rgba(37, 99, 235, 0.08)';
   ctx.strokeStyle = '#2563eb';
   ctx.lineWidth = 1 / ctx.getTransform().a;
+  ctx.fillRect(box.x, box.y, box.width, box.height);
   ctx.strokeRect(box.x, box.y, box.width, box.height);
-  ctx.fillStyle = '#2563eb';
-  const handle = 8 / ctx.getTransform().a;
-  ctx.fillRect(
-    box.x + box.width - handle / 2,
-    box.y + box.height - handle / 2,
-    handle,
-    handle
-  );
+  ctx.restore();
+}
+
+// Remote cursors are drawn in screen space so they stay the same size at any zoom.
+function drawCursor(ctx, cursor, view) {
+  const x = cursor.x * view.scale + view.offsetX;
+  const y = cursor.y * view.scale + view.offsetY;
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.fillStyle = cursor.color;
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  ctx.moveTo(x, y);
+  ctx.lineTo(x, y + 16);
+  ctx.lineTo(x + 4.5, y + 12);
+  ctx.lineTo(x + 11, y + 12);
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
+
+  ctx.font = '600 11px Inter, system-ui, sans-serif';
+  const label = cursor.label;
+  const width = ctx.measureText(label).width + 10;
+  ctx.fillRect(x + 10, y + 16, width, 18);
+  ctx.fillStyle = '#ffffff';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(label, x + 15, y + 25);
   ctx.restore();
 }
 
@@ -153,20 +295,57 @@ export default function Canvas({
   tool,
   strokeColor,
   strokeWidth,
+  textStyle,
+  arrowheads,
+  shapeStyle,
   userId,
+  readOnly = false,
+  cursors = [],
+  onCursorMove,
+  onCursorLeave,
   onCreateAction,
   onUpdateAction,
+  onUpdateActions,
+  selectionIds = [],
+  onSelectionChange,
+  onDeleteActions,
+  isOwner = false,
   pendingImage,
-  onConsumeImage
+  onConsumeImage,
+  onDropFiles,
+  onViewportChange
 }) {
   const containerRef = useRef(null);
+  // The overlay (draft, selection, cursors) takes the pointer; the base layer
+  // under it holds the grid and the committed elements.
   const canvasRef = useRef(null);
+  const baseRef = useRef(null);
+  // Offscreen bitmap of the committed elements around the screen; null
+  // when it must be redrawn.
+  const contentCacheRef = useRef(null);
+  const frameRef = useRef({ id: null, redrawBase: false });
+  const drawFrameRef = useRef(null);
   const imageCache = useRef(new Map());
   const [dimensions, setDimensions] = useState({ width: 0, height: 0 });
   const [draftAction, setDraftAction] = useState(null);
-  const [selectionId, setSelectionId] = useState(null);
+  // World-space rectangle being dragged out with the select tool.
+  const [marquee, setMarquee] = useState(null);
+  // Text being typed in the overlay: { actionId (null for a new one), data, originalText }.
+  const [editing, setEditing] = useState(null);
+  const editingRef = useRef(null);
+  // Ids the eraser has passed over in the current drag; deleted on release.
+  const [erasing, setErasing] = useState(() => new Set());
+  const textareaRef = useRef(null);
   const [spacePressed, setSpacePressed] = useState(false);
+  // Transform handle under the pointer, for the cursor.
+  const [hoverHandle, setHoverHandle] = useState(null);
+  // Files are being dragged over the board.
+  const [dropActive, setDropActive] = useState(false);
   const [revision, setRevision] = useState(0);
+  // Ids being moved, resized or rotated, with the arrows bound to them. They
+  // are left out of the cached elements and drawn on the overlay meanwhile.
+  const [lifted, setLifted] = useState(null);
+  const cachedActionsRef = useRef(actions);
   const [view, setView] = useState({
     scale: 1,
     offsetX: 0,
@@ -180,17 +359,54 @@ export default function Canvas({
     selection: null
   });
 
-  const selection = useMemo(
-    () => actions.find((action) => action.id === selectionId),
-    [actions, selectionId]
+  const selected = useMemo(
+    () => actions.filter((action) => selectionIds.includes(action.id) && !action.undone),
+    [actions, selectionIds]
+  );
+
+  // Left out of the cached elements: lifted ones, and text being edited,
+  // which the text editor shows instead.
+  const hiddenIds = useMemo(() => {
+    const ids = new Set(lifted);
+    if (editing?.actionId) ids.add(editing.actionId);
+    return ids;
+  }, [lifted, editing?.actionId]);
+
+  const actionsById = useMemo(
+    () => new Map(actions.map((action) => [action.id, action])),
+    [actions]
+  );
+  const findAction = useCallback((id) => actionsById.get(id), [actionsById]);
+
+  // Updated in place: only elements that changed are re-bucketed.
+  const indexRef = useRef(null);
+  const spatialIndex = useMemo(() => {
+    indexRef.current = updateSpatialIndex(
+      indexRef.current || createSpatialIndex(),
+      actions,
+      findAction
+    );
+    return indexRef.current;
+  }, [actions, findAction]);
+
+  // The world-space rectangle on screen.
+  const viewport = useMemo(
+    () => ({
+      x: -view.offsetX / view.scale,
+      y: -view.offsetY / view.scale,
+      width: dimensions.width / view.scale,
+      height: dimensions.height / view.scale
+    }),
+    [view, dimensions]
   );
 
   const cursor = useMemo(() => {
     if (pointerRef.current.mode === 'pan') {
       return 'grabbing';
     }
+    if (tool === 'select' && hoverHandle) return HANDLE_CURSORS[hoverHandle];
     return TOOL_CURSOR[tool] || 'default';
-  }, [tool]);
+  }, [tool, hoverHandle]);
 
   const toWorld = useCallback(
     (clientX, clientY) => {
@@ -233,12 +449,14 @@ export default function Canvas({
 
   useEffect(() => {
     const handleKeyDown = (event) => {
+      if (event.target.closest?.('input, textarea')) return;
       if (event.code === 'Space' && !spacePressed) {
         event.preventDefault();
         setSpacePressed(true);
       }
     };
     const handleKeyUp = (event) => {
+      if (event.target.closest?.('input, textarea')) return;
       if (event.code === 'Space') {
         event.preventDefault();
         setSpacePressed(false);
@@ -252,54 +470,187 @@ export default function Canvas({
     };
   }, [spacePressed]);
 
-  useEffect(() => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-    const ctx = canvas.getContext('2d');
-
-    canvas.width = dimensions.width;
-    canvas.height = dimensions.height;
-
-    ctx.save();
-    ctx.setTransform(1, 0, 0, 1, 0, 0);
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    drawGrid(ctx, canvas.width, canvas.height, view);
-    ctx.restore();
-
-    ctx.setTransform(view.scale, 0, 0, view.scale, view.offsetX, view.offsetY);
-
+  // Draws the latest state; replaced on every render so a frame never
+  // draws stale props. `redrawBase` also repaints the grid and elements under
+  // the overlay, redrawing the cached elements first if they are stale.
+  drawFrameRef.current = (redrawBase) => {
+    const base = baseRef.current;
+    const overlay = canvasRef.current;
+    if (!base || !overlay || !dimensions.width || !dimensions.height) return;
     const helpers = {
       imageCache,
-      onImageLoad: scheduleRerender
+      onImageLoad: scheduleRerender,
+      findAction
     };
 
-    actions.forEach((action) => {
-      if (action.undone) return;
-      drawAction(ctx, action, helpers);
-    });
+    if (redrawBase) {
+      let cache = contentCacheRef.current;
+      if (!cacheCovers(cache, view, dimensions)) {
+        cache = renderContent(cache?.canvas || document.createElement('canvas'), {
+          index: spatialIndex,
+          view,
+          dimensions,
+          helpers,
+          hidden: hiddenIds,
+          erasing
+        });
+        contentCacheRef.current = cache;
+      }
+      const ctx = base.getContext('2d');
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, base.width, base.height);
+      drawGrid(ctx, base.width, base.height, view);
+      ctx.drawImage(
+        cache.canvas,
+        view.offsetX - cache.offsetX - cache.marginX,
+        view.offsetY - cache.offsetY - cache.marginY
+      );
+    }
 
+    const ctx = overlay.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, overlay.width, overlay.height);
+    ctx.setTransform(view.scale, 0, 0, view.scale, view.offsetX, view.offsetY);
+    // Lifted elements are drawn above the others until they are dropped.
+    if (lifted) {
+      queryBox(spatialIndex, viewport)
+        .filter((action) => lifted.has(action.id))
+        .forEach((action) => drawAction(ctx, action, helpers));
+    }
     if (draftAction) {
       ctx.save();
       ctx.globalAlpha = 0.6;
       drawAction(ctx, draftAction, helpers);
       ctx.restore();
     }
+    drawSelection(ctx, selected, helpers);
+    if (marquee) {
+      drawMarquee(ctx, marquee);
+    }
+    cursors.forEach((cursor) => drawCursor(ctx, cursor, view));
+  };
+
+  // Batches redraws into one per animation frame.
+  const requestFrame = useCallback((redrawBase) => {
+    const frame = frameRef.current;
+    frame.redrawBase = frame.redrawBase || redrawBase;
+    if (frame.id) return;
+    frame.id = requestAnimationFrame(() => {
+      const { redrawBase: base } = frame;
+      frame.id = null;
+      frame.redrawBase = false;
+      drawFrameRef.current(base);
+    });
+  }, []);
 
-    if (selection) {
-      drawSelection(ctx, selection);
+  useEffect(() => () => cancelAnimationFrame(frameRef.current.id), []);
+
+  // The cached elements are only redrawn when they change; edits to lifted
+  // elements only touch the overlay.
+  useEffect(() => {
+    const previous = cachedActionsRef.current;
+    cachedActionsRef.current = actions;
+    if (lifted && changedOnly(previous, actions, lifted)) {
+      requestFrame(false);
+      return;
     }
-  }, [actions, draftAction, view, dimensions, revision, selection]);
+    contentCacheRef.current = null;
+    requestFrame(true);
+  }, [actions, lifted, requestFrame]);
+
+  useEffect(() => {
+    contentCacheRef.current = null;
+    requestFrame(true);
+  }, [hiddenIds, erasing, revision, requestFrame]);
+
+  useEffect(() => {
+    requestFrame(true);
+  }, [view, dimensions, requestFrame]);
+
+  useEffect(() => {
+    requestFrame(false);
+  }, [draftAction, selected, marquee, cursors, requestFrame]);
+
+  // For exporting the current view.
+  useEffect(() => {
+    onViewportChange?.(viewport);
+  }, [viewport, onViewportChange]);
+
+  const changeEditing = (next) => {
+    editingRef.current = next;
+    setEditing(next);
+  };
+
+  const startTextEdit = (world, hit) => {
+    if (hit?.action.type === 'text') {
+      onSelectionChange([hit.action.id]);
+      changeEditing({
+        actionId: hit.action.id,
+        data: hit.action.data,
+        originalText: hit.action.data.text
+      });
+      return;
+    }
+    changeEditing({
+      actionId: null,
+      data: {
+        x: world.x,
+        y: world.y,
+        width: DEFAULT_TEXT_WIDTH,
+        height: textStyle.fontSize * LINE_HEIGHT,
+        text: '',
+        strokeColor,
+        ...textStyle,
+        ...styleFor('text', shapeStyle)
+      },
+      originalText: ''
+    });
+  };
+
+  // Safe to call more than once: the textarea's blur fires after a canvas
+  // click has already committed the text.
+  const finishTextEdit = () => {
+    const current = editingRef.current;
+    if (!current) return;
+    changeEditing(null);
+    const text = current.data.text.replace(/\s+$/, '');
+    if (text === current.originalText) return;
+    if (!text) {
+      // Emptied text is deleted rather than left as an invisible element.
+      if (current.actionId) onDeleteActions([current.actionId]);
+      return;
+    }
+    const { height } = layoutText({ ...current.data, text });
+    if (current.actionId) {
+      onUpdateAction(current.actionId, { text, height });
+    } else {
+      onCreateAction({ type: 'text', data: { ...current.data, text, height } });
+    }
+  };
+
+  useEffect(() => {
+    if (readOnly) changeEditing(null);
+  }, [readOnly]);
+
+  useEffect(() => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    textarea.focus();
+    textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+  }, [editing?.actionId, editing?.data.x, editing?.data.y]);
 
   const shouldPan = useCallback(
     (event) => {
+      // Viewers can only look around, so every drag pans.
       return (
+        readOnly ||
         tool === 'pan' ||
         spacePressed ||
         event.button === 1 ||
         event.button === 2
       );
     },
-    [tool, spacePressed]
+    [readOnly, tool, spacePressed]
   );
 
   const startDraft = (type, world) => {
@@ -312,7 +663,26 @@ export default function Canvas({
           data: {
             points: [world.x, world.y],
             strokeColor,
-            strokeWidth
+            strokeWidth,
+            ...styleFor('path', shapeStyle)
+          }
+        });
+        break;
+      case 'line':
+      case 'arrow':
+        // The last point follows the pointer until the line is finished.
+        pointerRef.current.mode = 'line';
+        setDraftAction({
+          type,
+          data: {
+            points: [world.x, world.y, world.x, world.y],
+            strokeColor,
+            strokeWidth,
+            ...styleFor(type, shapeStyle),
+            ...(type === 'arrow' && {
+              startArrowhead: arrowheads.start,
+              endArrowhead: arrowheads.end
+            })
           }
         });
         break;
@@ -326,7 +696,8 @@ export default function Canvas({
             width: 0,
             height: 0,
             strokeColor,
-            strokeWidth
+            strokeWidth,
+            ...styleFor(type, shapeStyle)
           }
         });
         break;
@@ -342,7 +713,8 @@ export default function Canvas({
             y: world.y,
             width: pendingImage.width,
             height: pendingImage.height,
-            src: pendingImage.src
+            src: pendingImage.src,
+            ...styleFor('image', shapeStyle)
           }
         });
         pointerRef.current.draftStart = world;
@@ -394,6 +766,68 @@ export default function Canvas({
     }
   };
 
+  const moveLinePoint = (world) => {
+    setDraftAction((prev) => {
+      if (!isLinear(prev)) return prev;
+      const points = [...prev.data.points];
+      points[points.length - 2] = world.x;
+      points[points.length - 1] = world.y;
+      return { ...prev, data: { ...prev.data, points } };
+    });
+  };
+
+  // Arrow ends dropped on a rectangle or ellipse bind to it.
+  const finishLine = (points) => {
+    if (points.length < 4) {
+      setDraftAction(null);
+      return;
+    }
+    const data = { ...draftAction.data, points };
+    if (draftAction.type === 'arrow') {
+      const last = points.length - 2;
+      const bindAt = (point) => findBindTarget(queryPoint(spatialIndex, point), point);
+      const start = bindAt({ x: points[0], y: points[1] });
+      const end = bindAt({ x: points[last], y: points[last + 1] });
+      data.startBinding = start ? { actionId: start.id } : null;
+      data.endBinding = end && end !== start ? { actionId: end.id } : null;
+    }
+    onCreateAction({ type: draftAction.type, data });
+    setDraftAction(null);
+  };
+
+  // A click fixes the pointer position as an elbow; clicking the previous
+  // point again (or double-clicking) finishes the line.
+  const addLinePoint = (world) => {
+    const fixed = draftAction.data.points.slice(0, -2);
+    const lastX = fixed[fixed.length - 2];
+    const lastY = fixed[fixed.length - 1];
+    if (Math.hypot(world.x - lastX, world.y - lastY) * view.scale < CLICK_DISTANCE) {
+      finishLine(fixed);
+      return;
+    }
+    setDraftAction((prev) => ({
+      ...prev,
+      data: { ...prev.data, points: [...fixed, world.x, world.y, world.x, world.y] }
+    }));
+  };
+
+  useEffect(() => {
+    if (!isLinear(draftAction)) return undefined;
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape' || event.key === 'Enter') {
+        event.preventDefault();
+        finishLine(draftAction.data.points.slice(0, -2));
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  // Switching tools drops a line that is still being drawn.
+  useEffect(() => {
+    setDraftAction((prev) => (isLinear(prev) ? null : prev));
+  }, [tool]);
+
   const finishDraft = () => {
     if (!draftAction) return;
     if (draftAction.type === 'path' && draftAction.data.points.length < 4) {
@@ -415,80 +849,222 @@ export default function Canvas({
     setDraftAction(null);
   };
 
+  // The selection's transform handle under the pointer: a HANDLES name,
+  // 'rotate' or null.
+  const handleAt = (world) => {
+    if (!selected.length || (selected.length === 1 && isLinear(selected[0]))) return null;
+    const frame = selectionFrame(selected, findAction);
+    const near = (point) =>
+      Math.hypot(world.x - point.x, world.y - point.y) * view.scale <= HANDLE_SIZE;
+    if (near(rotateHandlePoint(frame, view.scale))) return 'rotate';
+    return Object.keys(HANDLES).find((name) => near(framePoint(frame, ...HANDLES[name]))) || null;
+  };
+
+  // Strokes and lines are hit near their drawn line, which gets easier to
+  // grab the thicker it is and the further out we are zoomed.
   const hitTest = (world) => {
-    for (let i = actions.length - 1; i >= 0; i -= 1) {
-      const action = actions[i];
-      if (action.undone) continue;
+    const candidates = queryPoint(spatialIndex, world, CLICK_DISTANCE / view.scale);
+    for (let i = candidates.length - 1; i >= 0; i -= 1) {
+      const action = candidates[i];
       if (action.userId !== userId) continue;
-      if (!action.data) continue;
-      if (!['rect', 'ellipse', 'image'].includes(action.type)) continue;
-      const box = normalizeBox(action.data);
-      if (
-        world.x >= box.x &&
-        world.x <= box.x + box.width &&
-        world.y >= box.y &&
-        world.y <= box.y + box.height
-      ) {
-        const cornerX = box.x + box.width;
-        const cornerY = box.y + box.height;
-        const distance =
-          Math.abs(world.x - cornerX) + Math.abs(world.y - cornerY);
-        const mode = distance * view.scale < 24 ? 'resize' : 'move';
-        return { action, mode, box };
+      const tolerance = (action.data.strokeWidth || 0) / 2 + CLICK_DISTANCE / view.scale;
+      if (isLinear(action)) {
+        const points = resolvePoints(action, findAction);
+        if (hitPolyline(points, world, tolerance)) {
+          return { action, points };
+        }
+        continue;
+      }
+      if (action.type === 'path') {
+        if (hitPolyline(action.data.points, world, tolerance)) {
+          return { action };
+        }
+        continue;
+      }
+      if (!['rect', 'ellipse', 'image', 'text'].includes(action.type)) continue;
+      if (boxHit(action.data, world)) {
+        return { action };
       }
     }
     return null;
   };
 
-  const startSelection = (world) => {
+  // Editors erase their own elements; the room owner can erase anything.
+  const eraseAt = (world) => {
+    const tolerance = CLICK_DISTANCE / view.scale;
+    const erased = pointerRef.current.erased || new Set();
+    const hits = queryPoint(spatialIndex, world, tolerance).filter((action) => {
+      if (erased.has(action.id)) return false;
+      if (action.userId !== userId && !isOwner) return false;
+      const reach = tolerance + (action.data.strokeWidth || 0) / 2;
+      if (isLinear(action)) {
+        return hitPolyline(resolvePoints(action, findAction), world, reach);
+      }
+      if (action.type === 'path') {
+        return hitPolyline(action.data.points, world, reach);
+      }
+      return boxHit(action.data, world, tolerance);
+    });
+    if (hits.length) {
+      hits.forEach((action) => erased.add(action.id));
+      pointerRef.current.erased = erased;
+      setErasing(new Set(erased));
+    }
+  };
+
+  // One erase gesture is one deletion, so a single undo restores it all.
+  const finishErasing = () => {
+    const erased = pointerRef.current.erased;
+    pointerRef.current.erased = null;
+    if (erased?.size) onDeleteActions(Array.from(erased));
+    setErasing(new Set());
+  };
+
+  // Grouped elements are selected together.
+  const groupOf = (action) => {
+    const { groupId } = action.data;
+    if (!groupId) return [action.id];
+    return actions
+      .filter((a) => !a.undone && a.userId === userId && a.data?.groupId === groupId)
+      .map((a) => a.id);
+  };
+
+  // `handle` is the resize handle being dragged, for mode 'resize'.
+  const beginTransform = (mode, targets, world, handle = null) => {
+    pointerRef.current.mode = mode;
+    pointerRef.current.startWorld = world;
+    pointerRef.current.selection = {
+      ids: new Set(targets.map((action) => action.id)),
+      // Lines transform from where they are drawn, which for bound arrows is
+      // not their stored points.
+      originals: targets.map((action) => ({
+        actionId: action.id,
+        type: action.type,
+        data: isLinear(action)
+          ? { ...action.data, points: resolvePoints(action, findAction) }
+          : action.data
+      })),
+      frame: selectionFrame(targets, findAction),
+      handle,
+      anchor: { ...world }
+    };
+  };
+
+  // Shift-click adds or removes an element; dragging from empty space starts
+  // a marquee; dragging a selected element moves the whole selection, and
+  // dragging a handle resizes or rotates it.
+  const startSelection = (world, additive) => {
+    const handle = additive ? null : handleAt(world);
+    if (handle === 'rotate') {
+      beginTransform('rotate', selected, world);
+      return;
+    }
+    if (handle) {
+      beginTransform('resize', selected, world, handle);
+      return;
+    }
     const hit = hitTest(world);
     if (!hit) {
-      setSelectionId(null);
+      if (!additive) onSelectionChange([]);
+      pointerRef.current.mode = 'marquee';
+      pointerRef.current.startWorld = world;
+      pointerRef.current.marqueeBase = additive ? selectionIds : [];
+      setMarquee({ x: world.x, y: world.y, width: 0, height: 0 });
+      return;
+    }
+    const ids = groupOf(hit.action);
+    let nextIds = ids;
+    if (additive) {
+      nextIds = ids.every((id) => selectionIds.includes(id))
+        ? selectionIds.filter((id) => !ids.includes(id))
+        : Array.from(new Set([...selectionIds, ...ids]));
+    } else if (selectionIds.includes(hit.action.id)) {
+      nextIds = selectionIds;
+    }
+    onSelectionChange(nextIds);
+    if (!nextIds.includes(hit.action.id)) {
       pointerRef.current.mode = null;
       return;
     }
-    pointerRef.current.mode = hit.mode === 'resize' ? 'resize' : 'move';
-    pointerRef.current.selection = {
-      actionId: hit.action.id,
-      original: { ...hit.action.data },
-      anchor: { ...world }
-    };
-    pointerRef.current.startWorld = world;
-    setSelectionId(hit.action.id);
+    const targets = actions.filter((action) => nextIds.includes(action.id) && !action.undone);
+    beginTransform('move', targets, world);
+  };
+
+  const updateMarquee = (world) => {
+    const start = pointerRef.current.startWorld;
+    setMarquee(
+      normalizeBox({
+        x: start.x,
+        y: start.y,
+        width: world.x - start.x,
+        height: world.y - start.y
+      })
+    );
+  };
+
+  // Selects our own elements lying entirely inside the marquee.
+  const finishMarquee = () => {
+    const base = pointerRef.current.marqueeBase || [];
+    pointerRef.current.marqueeBase = null;
+    if (marquee && (marquee.width || marquee.height)) {
+      const inside = queryBox(spatialIndex, marquee).filter(
+        (action) =>
+          action.userId === userId &&
+          boxContains(marquee, elementBounds(action, findAction))
+      );
+      const ids = inside.flatMap(groupOf);
+      onSelectionChange(Array.from(new Set([...base, ...ids])));
+    }
+    setMarquee(null);
   };
 
-  const updateSelection = (world, commit = false) => {
+  // Moves, resizes or rotates everything selected; committing sends one
+  // update for the whole selection. Shift keeps the aspect ratio (or snaps
+  // the angle) and Alt resizes about the center.
+  const updateSelection = (world, commit = false, keys = {}) => {
     const state = pointerRef.current.selection;
     if (!state) return;
-    const { actionId, original, anchor } = state;
-    let nextData = original;
-    if (pointerRef.current.mode === 'move') {
-      const dx = world.x - anchor.x;
-      const dy = world.y - anchor.y;
-      nextData = {
-        ...original,
-        x: original.x + dx,
-        y: original.y + dy
-      };
-    } else if (pointerRef.current.mode === 'resize') {
-      const dx = world.x - anchor.x;
-      const dy = world.y - anchor.y;
-      nextData = {
-        ...original,
-        width: Math.max(MIN_RESIZE, original.width + dx),
-        height: Math.max(MIN_RESIZE, original.height + dy)
-      };
-    }
-    pointerRef.current.selection.next = nextData;
-    onUpdateAction(actionId, nextData, {
-      broadcast: commit,
-      replace: true
+    const { ids, originals, frame, handle, anchor } = state;
+    const dx = world.x - anchor.x;
+    const dy = world.y - anchor.y;
+    // A plain click selects without sending unchanged copies to everyone.
+    if (commit && !dx && !dy) return;
+    const mode = pointerRef.current.mode;
+    const resizing = mode === 'resize';
+    let transform = (data) => moveElement(data, dx, dy);
+    if (mode === 'rotate') transform = rotateTransform(frame, anchor, world, keys.shiftKey);
+    if (resizing) transform = resizeTransform(frame, handle, dx, dy, keys);
+    const updates = originals.map(({ actionId, type, data }) => {
+      const next = transform(data);
+      // Resizing text changes where it wraps; its height follows the lines.
+      if (type === 'text' && resizing) {
+        next.height = layoutText(next).height;
+      }
+      // An arrow stays bound only to shapes transformed along with it.
+      if (type === 'arrow') {
+        ['startBinding', 'endBinding'].forEach((key) => {
+          if (next[key] && !ids.has(next[key].actionId)) next[key] = null;
+        });
+      }
+      return { actionId, data: next };
     });
+    if (!commit && !lifted) {
+      const bound = actions.filter(
+        (action) =>
+          isLinear(action) &&
+          [action.data.startBinding, action.data.endBinding].some(
+            (binding) => binding && ids.has(binding.actionId)
+          )
+      );
+      setLifted(new Set([...ids, ...bound.map((action) => action.id)]));
+    }
+    onUpdateActions(updates, { broadcast: commit, replace: true });
   };
 
   const stopSelection = () => {
     pointerRef.current.selection = null;
     pointerRef.current.mode = null;
+    setLifted(null);
   };
 
   const handlePointerDown = (event) => {
@@ -497,6 +1073,12 @@ export default function Canvas({
     canvas.setPointerCapture(event.pointerId);
     const world = toWorld(event.clientX, event.clientY);
 
+    // Clicking anywhere on the board finishes the text being edited.
+    if (editingRef.current) {
+      finishTextEdit();
+      return;
+    }
+
     if (shouldPan(event)) {
       event.preventDefault();
       pointerRef.current.mode = 'pan';
@@ -506,7 +1088,27 @@ export default function Canvas({
     }
 
     if (tool === 'select') {
-      startSelection(world);
+      startSelection(world, event.shiftKey);
+      return;
+    }
+
+    if (tool === 'text') {
+      startTextEdit(world, hitTest(world));
+      return;
+    }
+
+    if (tool === 'eraser') {
+      pointerRef.current.mode = 'erase';
+      eraseAt(world);
+      return;
+    }
+
+    if (tool === 'line' || tool === 'arrow') {
+      if (isLinear(draftAction)) {
+        addLinePoint(world);
+      } else {
+        startDraft(tool, world);
+      }
       return;
     }
 
@@ -523,6 +1125,7 @@ export default function Canvas({
   const handlePointerMove = (event) => {
     const mode = pointerRef.current.mode;
     const world = toWorld(event.clientX, event.clientY);
+    onCursorMove?.(world);
     if (mode === 'pan' && pointerRef.current.startView) {
       event.preventDefault();
       const { startView, startPointer } = pointerRef.current;
@@ -536,15 +1139,34 @@ export default function Canvas({
       return;
     }
 
+    if (isLinear(draftAction)) {
+      moveLinePoint(world);
+      return;
+    }
+
     if (mode === 'draw') {
       updateDraft(world);
       return;
     }
 
-    if ((mode === 'move' || mode === 'resize') && pointerRef.current.selection) {
-      updateSelection(world, false);
+    if (mode === 'erase') {
+      eraseAt(world);
+      return;
+    }
+
+    if (mode === 'marquee') {
+      updateMarquee(world);
+      return;
+    }
+
+    if (TRANSFORM_MODES.includes(mode) && pointerRef.current.selection) {
+      updateSelection(world, false, event);
       return;
     }
+
+    if (!mode && tool === 'select' && !readOnly) {
+      setHoverHandle(handleAt(world));
+    }
   };
 
   const handlePointerUp = (event) => {
@@ -556,13 +1178,81 @@ export default function Canvas({
     const world = toWorld(event.clientX, event.clientY);
     if (mode === 'draw') {
       finishDraft();
-    } else if (mode === 'move' || mode === 'resize') {
-      updateSelection(world, true);
+    } else if (mode === 'erase') {
+      finishErasing();
+    } else if (mode === 'marquee') {
+      finishMarquee();
+    } else if (mode === 'line' && isLinear(draftAction)) {
+      // Press-drag-release draws a straight line in one go.
+      const start = pointerRef.current.startWorld;
+      const dragged =
+        Math.hypot(world.x - start.x, world.y - start.y) * view.scale >= CLICK_DISTANCE;
+      if (dragged && draftAction.data.points.length === 4) {
+        finishLine([start.x, start.y, world.x, world.y]);
+      }
+    } else if (TRANSFORM_MODES.includes(mode)) {
+      updateSelection(world, true, event);
       stopSelection();
     }
     pointerRef.current.mode = null;
   };
 
+  const handlePointerLeave = (event) => {
+    handlePointerUp(event);
+    onCursorLeave?.();
+  };
+
+  const handleDoubleClick = (event) => {
+    if (readOnly || tool !== 'select') return;
+    const hit = hitTest(toWorld(event.clientX, event.clientY));
+    if (hit?.action.type === 'text') {
+      stopSelection();
+      startTextEdit(null, hit);
+    }
+  };
+
+  const handleTextKeyDown = (event) => {
+    if (event.key === 'Escape' || (event.key === 'Enter' && (event.metaKey || event.ctrlKey))) {
+      event.preventDefault();
+      finishTextEdit();
+    }
+  };
+
+  const renderTextEditor = () => {
+    if (!editing) return null;
+    const { data } = editing;
+    const { height } = layoutText(data);
+    return (
+      <textarea
+        ref={textareaRef}
+        className="text-editor"
+        value={data.text}
+        spellCheck={false}
+        onChange={(event) =>
+          changeEditing({
+            ...editing,
+            data: { ...data, text: event.target.value }
+          })
+        }
+        onKeyDown={handleTextKeyDown}
+        onBlur={finishTextEdit}
+        style={{
+          left: data.x * view.scale + view.offsetX,
+          top: data.y * view.scale + view.offsetY,
+          width: data.width * view.scale,
+          height: Math.max(height, data.fontSize * LINE_HEIGHT) * view.scale,
+          fontFamily: FONT_FAMILIES[data.fontFamily],
+          fontSize: data.fontSize * view.scale,
+          lineHeight: LINE_HEIGHT,
+          textAlign: data.textAlign,
+          color: data.strokeColor,
+          opacity: data.opacity ?? 1,
+          transform: data.angle ? `rotate(${data.angle}rad)` : undefined
+        }}
+      />
+    );
+  };
+
   const handleWheel = (event) => {
     event.preventDefault();
     if (event.ctrlKey) {
@@ -592,8 +1282,44 @@ export default function Canvas({
     }
   };
 
+  const draggingFiles = (event) =>
+    !readOnly && Array.from(event.dataTransfer?.types || []).includes('Files');
+
+  const handleDragOver = (event) => {
+    if (!draggingFiles(event)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    setDropActive(true);
+  };
+
+  // Leaving for a child element (the text editor) isn't leaving the board.
+  const handleDragLeave = (event) => {
+    if (containerRef.current?.contains(event.relatedTarget)) return;
+    setDropActive(false);
+  };
+
+  const handleDrop = (event) => {
+    setDropActive(false);
+    if (!draggingFiles(event)) return;
+    event.preventDefault();
+    const files = Array.from(event.dataTransfer.files);
+    if (files.length) onDropFiles?.(files, toWorld(event.clientX, event.clientY));
+  };
+
   return (
-    <div className="canvas-area" ref={containerRef}>
+    <div
+      className={`canvas-area ${dropActive ? 'drop-active' : ''}`}
+      ref={containerRef}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      <canvas
+        ref={baseRef}
+        className="board-layer"
+        width={dimensions.width}
+        height={dimensions.height}
+      />
       <canvas
         ref={canvasRef}
         className="board"
@@ -603,32 +1329,12 @@ export default function Canvas({
         onPointerDown={handlePointerDown}
         onPointerMove={handlePointerMove}
         onPointerUp={handlePointerUp}
-        onPointerLeave={handlePointerUp}
+        onPointerLeave={handlePointerLeave}
+        onDoubleClick={handleDoubleClick}
         onWheel={handleWheel}
         onContextMenu={(event) => event.preventDefault()}
       />
+      {renderTextEditor()}
     </div>
   );
 }
-
-function drawGrid(ctx, width, height, view) {
-  const spacing = 48;
-  ctx.fillStyle = '#f2f4f7';
-  ctx.fillRect(0, 0, width, height);
-
-  ctx.strokeStyle = '#e0e7ff';
-  ctx.lineWidth = 1;
-  const step = spacing * view.scale;
-  const startX = ((view.offsetX % step) + step) % step;
-  const startY = ((view.offsetY % step) + step) % step;
-  ctx.beginPath();
-  for (let x = startX; x < width; x += step) {
-    ctx.moveTo(x, 0);
-    ctx.lineTo(x, height);
-  }
-  for (let y = startY; y < height; y += step) {
-    ctx.moveTo(0, y);
-    ctx.lineTo(width, y);
-  }
-  ctx.stroke();
-}
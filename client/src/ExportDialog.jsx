@@ -0,0 +1,107 @@
+import { useState } from 'react';
+import { EXPORT_BACKGROUNDS, EXPORT_FORMATS } from './export.js';
+
+const AREAS = [
+  { id: 'board', label: 'Whole board' },
+  { id: 'viewport', label: 'Current view' },
+  { id: 'selection', label: 'Selection' }
+];
+
+const BACKGROUND_LABELS = {
+  transparent: 'Transparent',
+  white: 'White',
+  grid: 'Grid'
+};
+
+const SCALES = [1, 2, 3];
+
+// Export options. `onExport` receives { format, area, scale, background }
+// and returns a promise that settles when the file has been made.
+export default function ExportDialog({ isOpen, hasSelection, onExport, onClose }) {
+  const [format, setFormat] = useState('png');
+  const [area, setArea] = useState('board');
+  const [scale, setScale] = useState(2);
+  const [background, setBackground] = useState('white');
+  const [busy, setBusy] = useState(false);
+
+  if (!isOpen) return null;
+
+  // PDF pages are never transparent; SVG needs no scale.
+  const backgrounds = format === 'pdf'
+    ? EXPORT_BACKGROUNDS.filter((option) => option !== 'transparent')
+    : EXPORT_BACKGROUNDS;
+  const chosenArea = area === 'selection' && !hasSelection ? 'board' : area;
+  const chosenBackground = backgrounds.includes(background) ? background : 'white';
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    setBusy(true);
+    onExport({ format, area: chosenArea, scale, background: chosenBackground }).finally(() =>
+      setBusy(false)
+    );
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Export</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </div>
+        <form className="modal-body export-options" onSubmit={handleSubmit}>
+          <label className="input">
+            <span>Format</span>
+            <select value={format} onChange={(e) => setFormat(e.target.value)}>
+              {EXPORT_FORMATS.map((option) => (
+                <option key={option} value={option}>
+                  {option.toUpperCase()}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="input">
+            <span>Area</span>
+            <select value={chosenArea} onChange={(e) => setArea(e.target.value)}>
+              {AREAS.map((option) => (
+                <option
+                  key={option.id}
+                  value={option.id}
+                  disabled={option.id === 'selection' && !hasSelection}
+                >
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {format !== 'svg' && (
+            <label className="input">
+              <span>Scale</span>
+              <select value={scale} onChange={(e) => setScale(Number(e.target.value))}>
+                {SCALES.map((option) => (
+                  <option key={option} value={option}>
+                    {option}×
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+          <label className="input">
+            <span>Background</span>
+            <select value={chosenBackground} onChange={(e) => setBackground(e.target.value)}>
+              {backgrounds.map((option) => (
+                <option key={option} value={option}>
+                  {BACKGROUND_LABELS[option]}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button type="submit" className="copy-button" disabled={busy}>
+            {busy ? 'Exporting…' : 'Download'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+import { useEffect, useRef, useState } from 'react';
+import { displayName, initials, profileColor } from './presence.js';
+
+function Avatar({ profile }) {
+  return (
+    <span
+      className="avatar"
+      style={{ background: profileColor(profile) }}
+      title={displayName(profile)}
+    >
+      {initials(profile)}
+    </span>
+  );
+}
+
+export default function ParticipantList({
+  peers,
+  userId,
+  owner,
+  locked,
+  onKick,
+  onTransferOwnership,
+  onClearBoard,
+  onToggleLock,
+  onEditProfile
+}) {
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+  const isOwner = Boolean(userId) && owner === userId;
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClick = (event) => {
+      if (!containerRef.current?.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+    window.addEventListener('pointerdown', handleClick);
+    return () => window.removeEventListener('pointerdown', handleClick);
+  }, [open]);
+
+  const label = peers.length === 1 ? '1 person' : `${peers.length} people`;
+
+  return (
+    <div className="participants" ref={containerRef}>
+      <button
+        className="peers-row peers-toggle"
+        onClick={() => setOpen((value) => !value)}
+        title="Show participants"
+      >
+        <span className="avatar-stack">
+          {peers.slice(0, 4).map((profile) => (
+            <Avatar key={profile.userId} profile={profile} />
+          ))}
+        </span>
+        <span className="peers">{label}</span>
+        {locked && <span className="peers-lock" title="Room is locked">🔒</span>}
+      </button>
+      {open && (
+        <div className="participants-popover">
+          <ul className="participants-list">
+            {peers.map((profile) => {
+              const id = profile.userId;
+              return (
+                <li key={id} className="participant">
+                  <span className="participant-name">
+                    <Avatar profile={profile} />
+                    {displayName(profile)}
+                    {id === userId && <span className="participant-tag">you</span>}
+                    {id === owner && <span className="participant-tag owner">owner</span>}
+                  </span>
+                  {id === userId && (
+                    <span className="participant-actions">
+                      <button onClick={onEditProfile} title="Edit your name and color">
+                        ✎
+                      </button>
+                    </span>
+                  )}
+                  {isOwner && id !== userId && (
+                    <span className="participant-actions">
+                      <button onClick={() => onTransferOwnership(id)} title="Make owner">
+                        👑
+                      </button>
+                      <button onClick={() => onKick(id)} title="Remove from room">
+                        ✕
+                      </button>
+                    </span>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+          {isOwner && (
+            <div className="participants-moderation">
+              <button className="tool" onClick={onClearBoard} title="Clear the board (undoable)">
+                <span className="tool-icon">🧹</span>
+                <span className="tool-label">Clear board</span>
+              </button>
+              <button className="tool" onClick={onToggleLock} title="Only the owner can edit a locked room">
+                <span className="tool-icon">{locked ? '🔓' : '🔒'}</span>
+                <span className="tool-label">{locked ? 'Unlock' : 'Lock'}</span>
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
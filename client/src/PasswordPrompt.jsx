@@ -0,0 +1,60 @@
+import { useEffect, useRef, useState } from 'react';
+
+const MESSAGES = {
+  'password-required': 'This room is password protected.',
+  'wrong-password': 'That password is not correct. Try again.',
+  'too-many-attempts': 'Too many wrong passwords. Wait a minute, then try again.',
+  'invalid-link':
+    'This link is no longer valid. Ask someone in the room for a new one.',
+  kicked: 'You were removed from this room by its owner.'
+};
+
+export default function PasswordPrompt({ reason, onSubmit }) {
+  const [password, setPassword] = useState('');
+  const inputRef = useRef(null);
+  const needsPassword =
+    reason === 'password-required' ||
+    reason === 'wrong-password' ||
+    reason === 'too-many-attempts';
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, [reason]);
+
+  if (!reason) return null;
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!password) return;
+    onSubmit(password);
+    setPassword('');
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content">
+        <div className="modal-header">
+          <h2>{needsPassword ? 'Enter Password' : 'Access Denied'}</h2>
+        </div>
+        <form className="modal-body" onSubmit={handleSubmit}>
+          <p className="modal-description">{MESSAGES[reason] || reason}</p>
+          {needsPassword && (
+            <div className="share-input-group">
+              <input
+                ref={inputRef}
+                type="password"
+                className="share-input"
+                placeholder="Room password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+              <button type="submit" className="copy-button">
+                Join
+              </button>
+            </div>
+          )}
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import { useEffect, useState } from 'react';
+import { PROFILE_COLORS } from './presence.js';
+
+export default function ProfileDialog({ isOpen, profile, onSave, onClose }) {
+  const [name, setName] = useState(profile.name);
+  const [color, setColor] = useState(profile.color);
+
+  useEffect(() => {
+    if (isOpen) {
+      setName(profile.name);
+      setColor(profile.color);
+    }
+  }, [isOpen, profile]);
+
+  if (!isOpen) return null;
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onSave({ name: name.trim(), color });
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Your Profile</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </div>
+        <form className="modal-body" onSubmit={handleSubmit}>
+          <p className="modal-description">
+            Pick the name and color others see next to your cursor and in the
+            participant list.
+          </p>
+          <div className="share-input-group">
+            <input
+              autoFocus
+              type="text"
+              className="share-input"
+              placeholder="Display name"
+              maxLength={32}
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+            />
+            <button type="submit" className="copy-button">
+              Save
+            </button>
+          </div>
+          <div className="color-swatches">
+            {PROFILE_COLORS.map((swatch) => (
+              <button
+                key={swatch}
+                type="button"
+                className={`color-swatch ${swatch === color ? 'active' : ''}`}
+                style={{ background: swatch }}
+                onClick={() => setColor(swatch)}
+                aria-label={`Use color ${swatch}`}
+              />
+            ))}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import { summarizeSkipped } from './excalidraw.js';
+
+// Asks where an opened scene file should go: onto this board, or into a
+// fresh room of its own.
+export default function SceneDialog({ scene, canEdit, onOpenHere, onOpenNew, onClose }) {
+  if (!scene) return null;
+  const count = scene.elements.length;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Open Scene</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </div>
+        <div className="modal-body">
+          <p className="modal-description">
+            {scene.name} has {count} {count === 1 ? 'element' : 'elements'}. Add them to
+            this board, or start a new room with just this scene.
+          </p>
+          {scene.skipped.length > 0 && (
+            <>
+              <p className="modal-description">
+                {scene.skipped.length} {scene.skipped.length === 1 ? 'element' : 'elements'} could
+                not be converted and will be left out:
+              </p>
+              <ul className="scene-skipped">
+                {summarizeSkipped(scene.skipped).map((line) => (
+                  <li key={line}>{line}</li>
+                ))}
+              </ul>
+            </>
+          )}
+          <div className="share-input-group">
+            <button className="copy-button" onClick={onOpenHere} disabled={!canEdit}>
+              Add to this room
+            </button>
+            <button className="copy-button" onClick={onOpenNew}>
+              Open in a new room
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,18 +1,18 @@
 import { useState, useEffect, useRef } from 'react';
 
-export default function ShareModal({ isOpen, onClose, shareUrl, roomId }) {
+function ShareLink({ label, url, autoSelect }) {
   const [copied, setCopied] = useState(false);
   const inputRef = useRef(null);
 
   useEffect(() => {
-    if (isOpen && inputRef.current) {
+    if (autoSelect && inputRef.current) {
       inputRef.current.select();
     }
-  }, [isOpen]);
+  }, [autoSelect, url]);
 
   const handleCopy = async () => {
     try {
-      await navigator.clipboard.writeText(shareUrl);
+      await navigator.clipboard.writeText(url);
       setCopied(true);
       setTimeout(() => setCopied(false), 2000);
     } catch (err) {
@@ -24,8 +24,61 @@ export default function ShareModal({ isOpen, onClose, shareUrl, roomId }) {
     }
   };
 
+  return (
+    <div className="share-link">
+      {label && <span className="share-link-label">{label}</span>}
+      <div className="share-input-group">
+        <input
+          ref={inputRef}
+          type="text"
+          value={url}
+          readOnly
+          className="share-input"
+          onClick={(e) => e.target.select()}
+        />
+        <button
+          className={`copy-button ${copied ? 'copied' : ''}`}
+          onClick={handleCopy}
+        >
+          {copied ? (
+            <>
+              <span className="check-icon">✓</span> Copied!
+            </>
+          ) : (
+            <>
+              <span className="copy-icon">📋</span> Copy
+            </>
+          )}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function ShareModal({
+  isOpen,
+  onClose,
+  shareUrl,
+  links,
+  access,
+  canConfigure,
+  onConfigureAccess,
+  roomId
+}) {
+  const [password, setPassword] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) setPassword('');
+  }, [isOpen]);
+
   if (!isOpen) return null;
 
+  const submitAccess = (event) => {
+    event.preventDefault();
+    onConfigureAccess({ password });
+    setPassword('');
+  };
+
   return (
     <div className="modal-overlay" onClick={onClose}>
       <div className="modal-content" onClick={(e) => e.stopPropagation()}>
@@ -36,34 +89,48 @@ export default function ShareModal({ isOpen, onClose, shareUrl, roomId }) {
           </button>
         </div>
         <div className="modal-body">
-          <p className="modal-description">
-            Share this link with others to collaborate in realtime. Anyone with
-            the link can join and draw together.
-          </p>
-          <div className="share-input-group">
-            <input
-              ref={inputRef}
-              type="text"
-              value={shareUrl}
-              readOnly
-              className="share-input"
-              onClick={(e) => e.target.select()}
-            />
-            <button
-              className={`copy-button ${copied ? 'copied' : ''}`}
-              onClick={handleCopy}
-            >
-              {copied ? (
-                <>
-                  <span className="check-icon">✓</span> Copied!
-                </>
-              ) : (
-                <>
-                  <span className="copy-icon">📋</span> Copy
-                </>
-              )}
-            </button>
-          </div>
+          {links ? (
+            <>
+              <p className="modal-description">
+                This room is protected. The edit link lets people draw; the
+                view-only link lets them watch and pan around.
+                {access.hasPassword && ' Both links also need the room password.'}
+              </p>
+              <ShareLink label="Edit link" url={links.edit} autoSelect />
+              <ShareLink label="View-only link" url={links.view} />
+            </>
+          ) : (
+            <>
+              <p className="modal-description">
+                Share this link with others to collaborate in realtime. Anyone with
+                the link can join and draw together.
+              </p>
+              <ShareLink url={shareUrl} autoSelect />
+            </>
+          )}
+          {canConfigure && (
+            <form className="access-form" onSubmit={submitAccess}>
+              <span className="share-link-label">
+                {access?.protected ? 'Room password' : 'Protect this room'}
+              </span>
+              <div className="share-input-group">
+                <input
+                  type="password"
+                  className="share-input"
+                  placeholder={
+                    access?.hasPassword
+                      ? 'New password (leave empty to remove)'
+                      : 'Optional password'
+                  }
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                />
+                <button type="submit" className="copy-button">
+                  {access?.protected ? 'Update' : 'Create links'}
+                </button>
+              </div>
+            </form>
+          )}
           <div className="room-id-display">
             <span className="room-label">Room ID:</span>
             <code className="room-code">{roomId}</code>
@@ -73,4 +140,3 @@ export default function ShareModal({ isOpen, onClose, shareUrl, roomId }) {
     </div>
   );
 }
-
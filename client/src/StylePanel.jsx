@@ -0,0 +1,83 @@
+import { DEFAULT_STYLE, STROKE_STYLES, styleFieldsFor } from './style.js';
+
+const STROKE_STYLE_ICONS = {
+  solid: '━',
+  dashed: '┅',
+  dotted: '⋯'
+};
+
+// Style controls for the element type being drawn or the selected element.
+// `values` holds the current style; `onChange` receives only what changed.
+export default function StylePanel({ type, values, onChange }) {
+  const fields = styleFieldsFor(type);
+  const style = { ...DEFAULT_STYLE, ...values };
+
+  return (
+    <div className="style-panel">
+      {fields.includes('strokeColor') && (
+        <label className="input color">
+          <span>{type === 'text' ? 'Color' : 'Stroke'}</span>
+          <input
+            type="color"
+            value={style.strokeColor}
+            onChange={(e) => onChange({ strokeColor: e.target.value })}
+          />
+        </label>
+      )}
+      {fields.includes('fillColor') && (
+        <div className="input color">
+          <span>Fill</span>
+          <button
+            className={`fill-none ${style.fillColor ? '' : 'active'}`}
+            onClick={() => onChange({ fillColor: null })}
+            title="Transparent"
+            aria-label="Transparent fill"
+          />
+          <input
+            type="color"
+            value={style.fillColor || '#ffffff'}
+            onChange={(e) => onChange({ fillColor: e.target.value })}
+          />
+        </div>
+      )}
+      {fields.includes('strokeWidth') && (
+        <label className="input range">
+          <span>Width</span>
+          <input
+            type="range"
+            min="1"
+            max="12"
+            value={style.strokeWidth}
+            onChange={(e) => onChange({ strokeWidth: Number(e.target.value) })}
+          />
+        </label>
+      )}
+      {fields.includes('strokeStyle') && (
+        <div className="input stroke-styles">
+          <span>Style</span>
+          {STROKE_STYLES.map((strokeStyle) => (
+            <button
+              key={strokeStyle}
+              className={`stroke-style ${style.strokeStyle === strokeStyle ? 'active' : ''}`}
+              onClick={() => onChange({ strokeStyle })}
+              title={strokeStyle}
+            >
+              {STROKE_STYLE_ICONS[strokeStyle]}
+            </button>
+          ))}
+        </div>
+      )}
+      <label className="input range">
+        <span>Opacity</span>
+        <input
+          type="range"
+          min="10"
+          max="100"
+          step="5"
+          value={Math.round(style.opacity * 100)}
+          onChange={(e) => onChange({ opacity: Number(e.target.value) / 100 })}
+        />
+      </label>
+    </div>
+  );
+}
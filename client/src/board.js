@@ -0,0 +1,115 @@
+// Helpers for deriving what is on the board from the room's action history.
+
+// Actions that hide other actions instead of drawing anything: a board clear
+// and a deletion, both { actionIds }.
+const HIDING_TYPES = ['clear', 'delete'];
+
+// Ids hidden by active `clear` and `delete` actions (an undone one hides nothing).
+export function getClearedIds(actions) {
+  const cleared = new Set();
+  actions.forEach((action) => {
+    if (!HIDING_TYPES.includes(action.type) || action.undone) return;
+    action.data.actionIds.forEach((id) => cleared.add(id));
+  });
+  return cleared;
+}
+
+// Actions the canvas should draw and hit test, in history order.
+export function visibleActions(actions) {
+  const cleared = getClearedIds(actions);
+  return actions.filter(
+    (action) => !HIDING_TYPES.includes(action.type) && !cleared.has(action.id)
+  );
+}
+
+// Board mutations the server numbers with a sequence number. They arrive
+// live as `(payload, seq)` and are replayed as `{ seq, event, payload }`
+// when rejoining.
+export const SEQUENCED_EVENTS = [
+  'action-added',
+  'action-updated',
+  'actions-updated',
+  'action-undone',
+  'action-redone'
+];
+
+// Applies one sequenced event to the action list. Safe to apply twice.
+export function applyServerEvent(actions, event, payload) {
+  switch (event) {
+    case 'action-added':
+      if (actions.some((a) => a.id === payload.id)) {
+        return actions;
+      }
+      return [...actions, payload];
+    case 'action-updated':
+      return actions.map((action) =>
+        action.id === payload.actionId ? { ...action, data: payload.data } : action
+      );
+    case 'actions-updated': {
+      const updated = new Map(payload.updates.map(({ actionId, data }) => [actionId, data]));
+      return actions.map((action) =>
+        updated.has(action.id) ? { ...action, data: updated.get(action.id) } : action
+      );
+    }
+    case 'action-undone':
+    case 'action-redone': {
+      const undone = event === 'action-undone';
+      return actions.map((action) =>
+        action.id === payload.actionId ? { ...action, undone } : action
+      );
+    }
+    default:
+      return actions;
+  }
+}
+
+// Applies one of our own outgoing ops ({ event, payload } as queued in the
+// outbox) to the action list, mirroring what the server will do with it.
+export function applyLocalOp(actions, { event, payload }) {
+  switch (event) {
+    case 'add-action':
+    case 'delete-action':
+      if (actions.some((a) => a.id === payload.id)) {
+        return actions;
+      }
+      return [...actions, payload];
+    case 'update-action':
+      return actions.map((action) => {
+        if (action.id !== payload.actionId) return action;
+        const data = payload.replace
+          ? payload.data
+          : { ...action.data, ...payload.data };
+        return { ...action, data };
+      });
+    case 'update-actions':
+      return payload.updates.reduce(
+        (next, update) => applyLocalOp(next, { event: 'update-action', payload: update }),
+        actions
+      );
+    case 'undo-action':
+    case 'redo-action': {
+      const undone = event === 'undo-action';
+      return actions.map((action) =>
+        action.id === payload.actionId ? { ...action, undone } : action
+      );
+    }
+    default:
+      return actions;
+  }
+}
+
+// Actions we create before the server has issued our session carry a null
+// userId. The server stamps the real one on them, so our copies (and the
+// outbox ops carrying them) are patched to match once it is known.
+const claim = (action, userId) => (action?.userId === null ? { ...action, userId } : action);
+
+export function claimActions(actions, userId) {
+  return actions.some((action) => action.userId === null)
+    ? actions.map((action) => claim(action, userId))
+    : actions;
+}
+
+export const claimOps = (ops, userId) =>
+  ops.map((op) =>
+    op.payload?.userId === null ? { ...op, payload: claim(op.payload, userId) } : op
+  );
@@ -0,0 +1,109 @@
+// Copy/paste of board elements. Copies go to the system clipboard as JSON
+// text, so they can be pasted into another room or another tab.
+
+import { nanoid } from 'nanoid';
+import { elementBounds, isLinear, moveElement, resolvePoints, unionBounds } from './geometry.js';
+import { TOOL_TYPES } from './style.js';
+
+export const CLIPBOARD_TYPE = 'whiteboard/elements';
+const CLIPBOARD_VERSION = 1;
+
+// Where a duplicate (or a paste with the pointer off the board) lands,
+// relative to the original.
+export const PASTE_OFFSET = 16;
+
+export const ELEMENT_TYPES = Object.values(TOOL_TYPES);
+
+// Lines are copied where they are drawn, so an arrow whose bound shape isn't
+// copied along keeps its place.
+export function copyElements(actions, findAction) {
+  return actions.map(({ id, type, data }) => ({
+    id,
+    type,
+    data: isLinear({ type }) ? { ...data, points: resolvePoints({ type, data }, findAction) } : data
+  }));
+}
+
+export function serializeElements(elements) {
+  return JSON.stringify({ type: CLIPBOARD_TYPE, version: CLIPBOARD_VERSION, elements });
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// What is wrong with one element ({ type, data } with images inline), or
+// null when it can be drawn and moved. Style fields are left to the server,
+// which checks every element like any other new one.
+export function elementProblem(element) {
+  if (!element || typeof element !== 'object') return 'is not an object';
+  if (!ELEMENT_TYPES.includes(element.type)) return `has unknown type "${element.type}"`;
+  const { data } = element;
+  if (!data || typeof data !== 'object') return 'has no data';
+  if (element.type === 'path' || isLinear(element)) {
+    const { points } = data;
+    const valid = Array.isArray(points) && points.length >= 4 && points.length % 2 === 0;
+    return valid && points.every(isNumber) ? null : 'has invalid points';
+  }
+  if (!['x', 'y', 'width', 'height'].every((key) => isNumber(data[key]))) {
+    return 'has an invalid position or size';
+  }
+  if (element.type === 'text' && typeof data.text !== 'string') return 'has no text';
+  if (element.type === 'image' && !/^data:image\//.test(data.src || '')) {
+    return 'is missing its image';
+  }
+  return null;
+}
+
+// The elements in clipboard text, or null if it holds something else.
+// Clipboard text can come from anywhere, so malformed elements are dropped.
+export function parseElements(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (parsed?.type !== CLIPBOARD_TYPE || !Array.isArray(parsed.elements)) return null;
+  const elements = parsed.elements.filter((element) => !elementProblem(element));
+  return elements.length ? elements : null;
+}
+
+// Drafts ({ id, type, data }) for new copies of `elements`, moved so their
+// bounds are centered on `at`, or else by `offset`. Copies get fresh ids and
+// groups; arrows stay bound only to shapes copied along with them.
+export function cloneElements(elements, at = null, offset = PASTE_OFFSET) {
+  const fresh = elements.map(() => nanoid());
+  const ids = new Map(elements.map((element, i) => [element.id, fresh[i]]));
+  const groups = new Map();
+  const findElement = (id) => elements.find((element) => element.id === id);
+  let dx = offset;
+  let dy = offset;
+  if (at) {
+    const bounds = unionBounds(elements.map((element) => elementBounds(element, findElement)));
+    dx = at.x - (bounds.x + bounds.width / 2);
+    dy = at.y - (bounds.y + bounds.height / 2);
+  }
+  return elements.map(({ type, data }, i) => {
+    const next = moveElement(data, dx, dy);
+    if (next.groupId) {
+      if (!groups.has(next.groupId)) groups.set(next.groupId, nanoid());
+      next.groupId = groups.get(next.groupId);
+    }
+    ['startBinding', 'endBinding'].forEach((key) => {
+      if (!next[key]) return;
+      const target = ids.get(next[key].actionId);
+      next[key] = target ? { actionId: target } : null;
+    });
+    return { id: fresh[i], type, data: next };
+  });
+}
+
+export const isSvgMarkup = (text) => /^\s*(<\?xml[^>]*>\s*)?<svg[\s>]/i.test(text);
+
+export function svgToDataUrl(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return `data:image/svg+xml;base64,${btoa(binary)}`;
+}
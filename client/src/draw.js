@@ -0,0 +1,265 @@
+// Canvas drawing of board elements, shared by the board and exports.
+//
+// `helpers` is { imageCache, onImageLoad, findAction }: a ref to a Map of
+// loaded images by src, called back when one finishes loading, and the
+// lookup arrow bindings resolve against.
+
+import { fontFor, layoutText } from './text.js';
+import { boxCenter, isBoxed, normalizeBox, resolvePoints } from './geometry.js';
+
+export const BOARD_COLOR = '#f2f4f7';
+export const GRID_COLOR = '#e0e7ff';
+export const GRID_SPACING = 48;
+
+function applyStrokeStyle(ctx, { strokeStyle, strokeWidth = 1 }) {
+  if (strokeStyle === 'dashed') {
+    ctx.setLineDash([strokeWidth * 4, strokeWidth * 3]);
+  } else if (strokeStyle === 'dotted') {
+    // Zero-length dashes with round caps draw as dots.
+    ctx.setLineDash([0, strokeWidth * 2.5]);
+    ctx.lineCap = 'round';
+  }
+}
+
+export function drawAction(ctx, action, helpers) {
+  ctx.save();
+  ctx.globalAlpha *= action.data.opacity ?? 1;
+  if (action.data.angle && isBoxed(action)) {
+    const center = boxCenter(normalizeBox(action.data));
+    ctx.translate(center.x, center.y);
+    ctx.rotate(action.data.angle);
+    ctx.translate(-center.x, -center.y);
+  }
+  applyStrokeStyle(ctx, action.data);
+  drawShape(ctx, action, helpers);
+  ctx.restore();
+}
+
+function drawShape(ctx, action, helpers) {
+  switch (action.type) {
+    case 'path':
+      drawPath(ctx, action.data);
+      break;
+    case 'rect':
+      drawRect(ctx, action.data);
+      break;
+    case 'ellipse':
+      drawEllipse(ctx, action.data);
+      break;
+    case 'image':
+      drawImage(ctx, action.data, helpers);
+      break;
+    case 'text':
+      drawText(ctx, action.data);
+      break;
+    case 'line':
+    case 'arrow':
+      drawLinear(ctx, action, helpers);
+      break;
+    default:
+      break;
+  }
+}
+
+function drawPath(ctx, data) {
+  const { points, strokeColor, strokeWidth } = data;
+  if (!points || points.length < 2) return;
+  ctx.strokeStyle = strokeColor;
+  ctx.lineWidth = strokeWidth;
+  ctx.lineJoin = 'round';
+  ctx.lineCap = 'round';
+  ctx.beginPath();
+  ctx.moveTo(points[0], points[1]);
+  for (let i = 2; i < points.length; i += 2) {
+    ctx.lineTo(points[i], points[i + 1]);
+  }
+  ctx.stroke();
+}
+
+function drawArrowhead(ctx, kind, tip, from, strokeWidth) {
+  const size = Math.max(10, strokeWidth * 3);
+  ctx.save();
+  ctx.setLineDash([]);
+  ctx.translate(tip.x, tip.y);
+  ctx.rotate(Math.atan2(tip.y - from.y, tip.x - from.x));
+  ctx.beginPath();
+  switch (kind) {
+    case 'arrow':
+      ctx.moveTo(-size, -size / 2);
+      ctx.lineTo(0, 0);
+      ctx.lineTo(-size, size / 2);
+      ctx.stroke();
+      break;
+    case 'triangle':
+      ctx.moveTo(0, 0);
+      ctx.lineTo(-size, -size / 2);
+      ctx.lineTo(-size, size / 2);
+      ctx.closePath();
+      ctx.fill();
+      break;
+    case 'dot':
+      ctx.arc(0, 0, size / 3, 0, Math.PI * 2);
+      ctx.fill();
+      break;
+    case 'bar':
+      ctx.moveTo(0, -size / 2);
+      ctx.lineTo(0, size / 2);
+      ctx.stroke();
+      break;
+    default:
+      break;
+  }
+  ctx.restore();
+}
+
+function drawLinear(ctx, action, helpers) {
+  const points = resolvePoints(action, helpers.findAction);
+  const { strokeWidth, startArrowhead, endArrowhead } = action.data;
+  drawPath(ctx, { ...action.data, points });
+  if (points.length < 4) return;
+  ctx.fillStyle = action.data.strokeColor;
+  const last = points.length - 2;
+  if (startArrowhead) {
+    drawArrowhead(
+      ctx,
+      startArrowhead,
+      { x: points[0], y: points[1] },
+      { x: points[2], y: points[3] },
+      strokeWidth
+    );
+  }
+  if (endArrowhead) {
+    drawArrowhead(
+      ctx,
+      endArrowhead,
+      { x: points[last], y: points[last + 1] },
+      { x: points[last - 2], y: points[last - 1] },
+      strokeWidth
+    );
+  }
+}
+
+function drawRect(ctx, data) {
+  const box = normalizeBox(data);
+  if (data.fillColor) {
+    ctx.fillStyle = data.fillColor;
+    ctx.fillRect(box.x, box.y, box.width, box.height);
+  }
+  ctx.strokeStyle = data.strokeColor;
+  ctx.lineWidth = data.strokeWidth;
+  ctx.strokeRect(box.x, box.y, box.width, box.height);
+}
+
+function drawEllipse(ctx, data) {
+  const box = normalizeBox(data);
+  ctx.strokeStyle = data.strokeColor;
+  ctx.lineWidth = data.strokeWidth;
+  ctx.beginPath();
+  ctx.ellipse(
+    box.x + box.width / 2,
+    box.y + box.height / 2,
+    Math.max(1, box.width / 2),
+    Math.max(1, box.height / 2),
+    0,
+    0,
+    Math.PI * 2
+  );
+  if (data.fillColor) {
+    ctx.fillStyle = data.fillColor;
+    ctx.fill();
+  }
+  ctx.stroke();
+}
+
+function drawText(ctx, data) {
+  if (!data.text) return;
+  const { lines, lineHeight } = layoutText(data);
+  let x = data.x;
+  if (data.textAlign === 'center') x += data.width / 2;
+  if (data.textAlign === 'right') x += data.width;
+  ctx.save();
+  ctx.font = fontFor(data);
+  ctx.fillStyle = data.strokeColor;
+  ctx.textAlign = data.textAlign;
+  ctx.textBaseline = 'middle';
+  lines.forEach((line, index) => {
+    ctx.fillText(line, x, data.y + lineHeight * (index + 0.5));
+  });
+  ctx.restore();
+}
+
+// Entry for `src` in the image cache, starting the load on first use.
+// `callbacks` run once the image has loaded (or failed to).
+function cachedImage(imageCache, src) {
+  let cached = imageCache.current.get(src);
+  if (!cached) {
+    const img = new Image();
+    const settle = () => {
+      cached.callbacks.forEach((cb) => cb());
+      cached.callbacks = [];
+    };
+    img.onload = () => {
+      cached.loaded = true;
+      cached.width = img.width;
+      cached.height = img.height;
+      cached.element = img;
+      settle();
+    };
+    img.onerror = () => {
+      cached.failed = true;
+      settle();
+    };
+    img.src = src;
+    cached = {
+      loaded: false,
+      element: img,
+      callbacks: []
+    };
+    imageCache.current.set(src, cached);
+  }
+  return cached;
+}
+
+function drawImage(ctx, data, helpers) {
+  if (!data?.src) return;
+  const { imageCache, onImageLoad } = helpers;
+  const cached = cachedImage(imageCache, data.src);
+  if (!cached.loaded && onImageLoad && !cached.callbacks.includes(onImageLoad)) {
+    cached.callbacks.push(onImageLoad);
+  }
+  if (cached.loaded) {
+    ctx.drawImage(cached.element, data.x, data.y, data.width, data.height);
+  }
+}
+
+// Resolves once every image in `actions` has loaded into `imageCache`, for
+// drawing that can't redraw later (exports).
+export function preloadImages(actions, imageCache) {
+  const pending = actions
+    .filter((action) => action.type === 'image' && action.data?.src)
+    .map((action) => cachedImage(imageCache, action.data.src))
+    .filter((cached) => !cached.loaded && !cached.failed)
+    .map((cached) => new Promise((resolve) => cached.callbacks.push(resolve)));
+  return Promise.all(pending);
+}
+
+export function drawGrid(ctx, width, height, view) {
+  ctx.fillStyle = BOARD_COLOR;
+  ctx.fillRect(0, 0, width, height);
+
+  ctx.strokeStyle = GRID_COLOR;
+  ctx.lineWidth = 1;
+  const step = GRID_SPACING * view.scale;
+  const startX = ((view.offsetX % step) + step) % step;
+  const startY = ((view.offsetY % step) + step) % step;
+  ctx.beginPath();
+  for (let x = startX; x < width; x += step) {
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, height);
+  }
+  for (let y = startY; y < height; y += step) {
+    ctx.moveTo(0, y);
+    ctx.lineTo(width, y);
+  }
+  ctx.stroke();
+}
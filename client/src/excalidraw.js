@@ -0,0 +1,209 @@
+// Import of .excalidraw files. Elements are mapped onto this app's action
+// types; anything that can't be converted is reported instead of dropped
+// silently. Positions, rotation, colors, stroke widths and styles carry over;
+// hand-drawn roughness and fill patterns become plain strokes and solid fills.
+
+import { BINDABLE_TYPES, boxCenter, rotatePoint } from './geometry.js';
+
+export const EXCALIDRAW_TYPE = 'excalidraw';
+
+// Used when an element's stroke is transparent or not a hex color.
+const FALLBACK_COLOR = '#1e1e1e';
+
+const FONT_FAMILIES = {
+  1: 'hand', // Virgil
+  2: 'sans', // Helvetica
+  3: 'mono', // Cascadia
+  5: 'hand', // Excalifont
+  6: 'sans', // Nunito
+  7: 'sans', // Lilita One
+  8: 'mono' // Comic Shanns
+};
+
+// Excalidraw sizes text boxes to its own fonts; the extra room keeps lines
+// from wrapping differently here.
+const TEXT_WIDTH_SLACK = 1.2;
+
+const ARROWHEADS = {
+  arrow: 'arrow',
+  bar: 'bar',
+  dot: 'dot',
+  circle: 'dot',
+  circle_outline: 'dot',
+  triangle: 'triangle',
+  triangle_outline: 'triangle',
+  diamond: 'triangle',
+  diamond_outline: 'triangle'
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isHexColor = (value) => typeof value === 'string' && /^#[0-9a-f]{3,8}$/i.test(value);
+
+class SkipElement extends Error {}
+
+function common(element) {
+  const { x, y, width, height } = element;
+  if (![x, y, width, height].every(isNumber)) {
+    throw new SkipElement('has an invalid position or size');
+  }
+  const data = {
+    opacity: isNumber(element.opacity) ? Math.min(Math.max(element.opacity / 100, 0), 1) : 1
+  };
+  if (Array.isArray(element.groupIds) && element.groupIds.length) {
+    // The innermost group; nested groups are flattened.
+    data.groupId = String(element.groupIds[0]);
+  }
+  return data;
+}
+
+function box(element) {
+  const { x, y, width, height, angle } = element;
+  return { x, y, width, height, ...(isNumber(angle) && angle && { angle }) };
+}
+
+function stroke(element) {
+  const fill = isHexColor(element.backgroundColor) ? element.backgroundColor : null;
+  return {
+    strokeColor: isHexColor(element.strokeColor) ? element.strokeColor : fill || FALLBACK_COLOR,
+    strokeWidth:
+      isNumber(element.strokeWidth) && element.strokeWidth > 0
+        ? Math.min(element.strokeWidth, 100)
+        : 1,
+    strokeStyle: ['dashed', 'dotted'].includes(element.strokeStyle)
+      ? element.strokeStyle
+      : 'solid'
+  };
+}
+
+// Points are stored relative to the element's x/y, and rotate with it about
+// the center of its box. A freehand click leaves a single point.
+function absolutePoints(element) {
+  const { points } = element;
+  const valid =
+    Array.isArray(points) &&
+    points.length >= (element.type === 'freedraw' ? 1 : 2) &&
+    points.every((point) => Array.isArray(point) && isNumber(point[0]) && isNumber(point[1]));
+  if (!valid) throw new SkipElement('has invalid points');
+  const center = boxCenter(element);
+  return points.flatMap(([px, py]) => {
+    const point = rotatePoint({ x: element.x + px, y: element.y + py }, center, element.angle);
+    return [point.x, point.y];
+  });
+}
+
+const binding = (value) => (value?.elementId ? { actionId: String(value.elementId) } : null);
+
+function convert(element, context) {
+  const data = common(element);
+  switch (element.type) {
+    case 'rectangle':
+    case 'ellipse':
+      return {
+        type: element.type === 'rectangle' ? 'rect' : 'ellipse',
+        data: {
+          ...box(element),
+          ...stroke(element),
+          fillColor: isHexColor(element.backgroundColor) ? element.backgroundColor : null,
+          ...data
+        }
+      };
+    case 'freedraw': {
+      const points = absolutePoints(element);
+      // Drawn as a dot.
+      if (points.length === 2) points.push(points[0], points[1]);
+      return { type: 'path', data: { points, ...stroke(element), ...data } };
+    }
+    case 'line':
+      return {
+        type: 'line',
+        data: { points: absolutePoints(element), ...stroke(element), ...data }
+      };
+    case 'arrow':
+      return {
+        type: 'arrow',
+        data: {
+          points: absolutePoints(element),
+          ...stroke(element),
+          ...data,
+          startArrowhead: ARROWHEADS[element.startArrowhead] || null,
+          endArrowhead: ARROWHEADS[element.endArrowhead] || null,
+          startBinding: binding(element.startBinding),
+          endBinding: binding(element.endBinding)
+        }
+      };
+    case 'text': {
+      if (typeof element.text !== 'string' || !element.text.trim()) {
+        throw new SkipElement('has no text');
+      }
+      const fontSize = isNumber(element.fontSize) ? element.fontSize : 20;
+      return {
+        type: 'text',
+        data: {
+          ...box(element),
+          width: element.width * TEXT_WIDTH_SLACK,
+          text: element.text,
+          fontFamily: FONT_FAMILIES[element.fontFamily] || 'sans',
+          fontSize: Math.min(Math.max(fontSize, 4), 400),
+          textAlign: ['center', 'right'].includes(element.textAlign) ? element.textAlign : 'left',
+          strokeColor: isHexColor(element.strokeColor) ? element.strokeColor : FALLBACK_COLOR,
+          ...data
+        }
+      };
+    }
+    case 'image': {
+      const file = context.files[element.fileId];
+      if (!/^data:image\/[\w.+-]+;base64,/.test(file?.dataURL || '')) {
+        throw new SkipElement('is missing its image data');
+      }
+      context.assets[element.fileId] = file.dataURL;
+      return { type: 'image', data: { ...box(element), assetId: element.fileId, ...data } };
+    }
+    default:
+      throw new SkipElement('is not supported');
+  }
+}
+
+// Converts a parsed .excalidraw file into scene elements and assets (images
+// point at their file by `data.assetId`), along with the elements left out:
+// { elements, assets, skipped: [{ type, reason }] }. Deleted elements are
+// left out without a report.
+export function fromExcalidraw(file) {
+  const live = (Array.isArray(file.elements) ? file.elements : []).filter(
+    (element) => element && typeof element === 'object' && !element.isDeleted
+  );
+  const context = {
+    files: file.files && typeof file.files === 'object' ? file.files : {},
+    assets: {}
+  };
+  const elements = [];
+  const skipped = [];
+  live.forEach((element) => {
+    try {
+      const { type, data } = convert(element, context);
+      elements.push({ id: String(element.id), type, data });
+    } catch (err) {
+      if (!(err instanceof SkipElement)) throw err;
+      skipped.push({ type: String(element.type), reason: err.message });
+    }
+  });
+  // Arrows stay bound only to shapes that made it across.
+  const converted = new Set(
+    elements.filter((element) => BINDABLE_TYPES.includes(element.type)).map(({ id }) => id)
+  );
+  elements.forEach(({ data }) => {
+    ['startBinding', 'endBinding'].forEach((key) => {
+      if (data[key] && !converted.has(data[key].actionId)) data[key] = null;
+    });
+  });
+  return { elements, assets: context.assets, skipped };
+}
+
+// One line per kind of problem, e.g. 'diamond is not supported (2)'.
+export function summarizeSkipped(skipped) {
+  const counts = new Map();
+  skipped.forEach(({ type, reason }) => {
+    const line = `${type} ${reason}`;
+    counts.set(line, (counts.get(line) || 0) + 1);
+  });
+  return [...counts].map(([line, count]) => (count > 1 ? `${line} (${count})` : line));
+}
@@ -0,0 +1,337 @@
+// Exporting elements to PNG, SVG and PDF. Raster output is drawn with
+// drawAction, so it looks the same as the board.
+
+import {
+  BOARD_COLOR,
+  GRID_COLOR,
+  GRID_SPACING,
+  drawAction,
+  drawGrid,
+  preloadImages
+} from './draw.js';
+import { boxCenter, elementBounds, normalizeBox, unionBounds } from './geometry.js';
+
+// World units of margin around exported elements.
+const PADDING = 32;
+// Keeps export canvases within what browsers will allocate.
+const MAX_CANVAS_SIDE = 16384;
+const MAX_CANVAS_PIXELS = 4096 * 4096;
+// A4 landscape in PDF points; pages are rendered at twice that resolution.
+const PAGE_WIDTH = 842;
+const PAGE_HEIGHT = 595;
+const PAGE_RESOLUTION = 2;
+const MAX_PAGES = 50;
+
+export const EXPORT_FORMATS = ['png', 'svg', 'pdf'];
+// 'grid' is the board's own background.
+export const EXPORT_BACKGROUNDS = ['transparent', 'white', 'grid'];
+
+// The padded bounds of `actions`, or null if there is nothing to export.
+export function exportBounds(actions, findAction) {
+  if (!actions.length) return null;
+  const box = unionBounds(actions.map((action) => elementBounds(action, findAction)));
+  return {
+    x: box.x - PADDING,
+    y: box.y - PADDING,
+    width: box.width + PADDING * 2,
+    height: box.height + PADDING * 2
+  };
+}
+
+function fitScale(bounds, scale) {
+  const side = Math.max(bounds.width, bounds.height);
+  const area = bounds.width * bounds.height;
+  return Math.min(scale, MAX_CANVAS_SIDE / side, Math.sqrt(MAX_CANVAS_PIXELS / area));
+}
+
+function drawBackground(ctx, background, width, height, view) {
+  if (background === 'white') {
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+  } else if (background === 'grid') {
+    drawGrid(ctx, width, height, view);
+  }
+}
+
+// Draws `actions` onto a new canvas showing `bounds` at `scale` pixels per
+// world unit (lowered if the canvas would get too large).
+export function renderToCanvas(actions, options) {
+  const { bounds, scale = 1, background, findAction } = options;
+  const imageCache = options.imageCache || { current: new Map() };
+  const helpers = { imageCache, findAction };
+  return preloadImages(actions, helpers.imageCache).then(() => {
+    const fitted = fitScale(bounds, scale);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.ceil(bounds.width * fitted));
+    canvas.height = Math.max(1, Math.ceil(bounds.height * fitted));
+    const ctx = canvas.getContext('2d');
+    const view = { scale: fitted, offsetX: -bounds.x * fitted, offsetY: -bounds.y * fitted };
+    drawBackground(ctx, background, canvas.width, canvas.height, view);
+    ctx.setTransform(fitted, 0, 0, fitted, view.offsetX, view.offsetY);
+    actions.forEach((action) => drawAction(ctx, action, helpers));
+    return canvas;
+  });
+}
+
+export function renderToPng(actions, options) {
+  return renderToCanvas(actions, options).then(
+    (canvas) => new Promise((resolve) => canvas.toBlob(resolve, 'image/png'))
+  );
+}
+
+// SVG
+
+const escapeXml = (value) =>
+  String(value).replace(/[<>&"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const attributes = (attrs) =>
+  Object.entries(attrs)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}="${escapeXml(value)}"`)
+    .join(' ');
+
+function strokeAttributes({ strokeColor, strokeWidth = 1, strokeStyle }) {
+  const attrs = {
+    stroke: strokeColor,
+    'stroke-width': strokeWidth,
+    'stroke-linejoin': 'round'
+  };
+  if (strokeStyle === 'dashed') {
+    attrs['stroke-dasharray'] = `${strokeWidth * 4} ${strokeWidth * 3}`;
+  } else if (strokeStyle === 'dotted') {
+    attrs['stroke-dasharray'] = `0 ${strokeWidth * 2.5}`;
+    attrs['stroke-linecap'] = 'round';
+  }
+  return attrs;
+}
+
+// Shared attributes: opacity, and rotation about the box center.
+function commonAttributes(data) {
+  const attrs = { opacity: data.opacity };
+  if (data.angle) {
+    const center = boxCenter(normalizeBox(data));
+    attrs.transform = `rotate(${(data.angle * 180) / Math.PI} ${center.x} ${center.y})`;
+  }
+  return attrs;
+}
+
+// Vector markup for the element types SVG draws natively; null otherwise.
+function vectorElement(action) {
+  const { data } = action;
+  switch (action.type) {
+    case 'path': {
+      if (data.points.length < 2) return '';
+      const [x, y, ...rest] = data.points;
+      let d = `M${x} ${y}`;
+      for (let i = 0; i < rest.length; i += 2) d += ` L${rest[i]} ${rest[i + 1]}`;
+      return `<path ${attributes({
+        d,
+        fill: 'none',
+        'stroke-linecap': 'round',
+        ...strokeAttributes(data),
+        ...commonAttributes(data)
+      })}/>`;
+    }
+    case 'rect': {
+      const box = normalizeBox(data);
+      return `<rect ${attributes({
+        ...box,
+        fill: data.fillColor || 'none',
+        ...strokeAttributes(data),
+        ...commonAttributes(data)
+      })}/>`;
+    }
+    case 'ellipse': {
+      const box = normalizeBox(data);
+      const center = boxCenter(box);
+      return `<ellipse ${attributes({
+        cx: center.x,
+        cy: center.y,
+        rx: box.width / 2,
+        ry: box.height / 2,
+        fill: data.fillColor || 'none',
+        ...strokeAttributes(data),
+        ...commonAttributes(data)
+      })}/>`;
+    }
+    case 'image':
+      return `<image ${attributes({
+        ...normalizeBox(data),
+        href: data.src,
+        preserveAspectRatio: 'none',
+        ...commonAttributes(data)
+      })}/>`;
+    default:
+      return null;
+  }
+}
+
+// Other elements (text, lines and arrows) are embedded as a PNG of just
+// that element, drawn the same way as on the board.
+function rasterElement(action, findAction) {
+  const bounds = exportBounds([action], findAction);
+  return renderToCanvas([action], { bounds, scale: 2, findAction }).then(
+    (canvas) =>
+      `<image ${attributes({ ...bounds, href: canvas.toDataURL('image/png') })}/>`
+  );
+}
+
+function svgBackground(background, bounds) {
+  if (background === 'white') {
+    return `<rect ${attributes({ ...bounds, fill: '#ffffff' })}/>`;
+  }
+  if (background !== 'grid') return '';
+  const pattern = `<pattern ${attributes({
+    id: 'grid',
+    width: GRID_SPACING,
+    height: GRID_SPACING,
+    patternUnits: 'userSpaceOnUse'
+  })}><path ${attributes({
+    d: `M${GRID_SPACING} 0 L0 0 L0 ${GRID_SPACING}`,
+    fill: 'none',
+    stroke: GRID_COLOR
+  })}/></pattern>`;
+  return (
+    `<defs>${pattern}</defs>` +
+    `<rect ${attributes({ ...bounds, fill: BOARD_COLOR })}/>` +
+    `<rect ${attributes({ ...bounds, fill: 'url(#grid)' })}/>`
+  );
+}
+
+// Resolves to the SVG document as a string, in world units.
+export function renderToSvg(actions, { bounds, background, findAction }) {
+  return Promise.all(
+    actions.map((action) => vectorElement(action) ?? rasterElement(action, findAction))
+  ).then((elements) => {
+    const { x, y, width, height } = bounds;
+    return [
+      `<svg ${attributes({
+        xmlns: 'http://www.w3.org/2000/svg',
+        viewBox: `${x} ${y} ${width} ${height}`,
+        width,
+        height
+      })}>`,
+      svgBackground(background, bounds),
+      ...elements,
+      '</svg>'
+    ].join('\n');
+  });
+}
+
+export const svgBlob = (markup) => new Blob([markup], { type: 'image/svg+xml' });
+
+// PDF
+
+function dataUrlBytes(dataUrl) {
+  const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// A minimal PDF with one full-page JPEG per page.
+function buildPdf(pages) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const offsets = [];
+  let length = 0;
+  const push = (chunk) => {
+    const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+    parts.push(bytes);
+    length += bytes.length;
+  };
+  const object = (id, dictionary, stream) => {
+    offsets[id] = length;
+    push(`${id} 0 obj\n${dictionary}\n`);
+    if (stream) {
+      push('stream\n');
+      push(stream);
+      push('\nendstream\n');
+    }
+    push('endobj\n');
+  };
+  // Objects 1 and 2 are the catalog and page tree; each page then takes
+  // three: the page, its image and its content stream.
+  const pageIds = pages.map((_, i) => 3 + i * 3);
+  push('%PDF-1.4\n');
+  object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  const kids = pageIds.map((id) => `${id} 0 R`).join(' ');
+  object(2, `<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>`);
+  pages.forEach(({ jpeg, width, height }, i) => {
+    const id = pageIds[i];
+    const content = encoder.encode(`q ${PAGE_WIDTH} 0 0 ${PAGE_HEIGHT} 0 0 cm /Page Do Q`);
+    object(
+      id,
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /XObject << /Page ${id + 1} 0 R >> >> /Contents ${id + 2} 0 R >>`
+    );
+    object(
+      id + 1,
+      `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>`,
+      jpeg
+    );
+    object(id + 2, `<< /Length ${content.length} >>`, content);
+  });
+  const xref = length;
+  const size = offsets.length;
+  const entries = offsets
+    .slice(1)
+    .map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`)
+    .join('');
+  push(
+    `xref\n0 ${size}\n0000000000 65535 f \n${entries}` +
+      `trailer\n<< /Size ${size} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`
+  );
+  return new Blob(parts, { type: 'application/pdf' });
+}
+
+// Splits `bounds` into A4 landscape pages at `scale` points per world unit,
+// lowering the scale if it would take more than MAX_PAGES pages.
+function pageTiles(bounds, scale) {
+  let fitted = scale;
+  const count = (s) =>
+    Math.ceil((bounds.width * s) / PAGE_WIDTH) * Math.ceil((bounds.height * s) / PAGE_HEIGHT);
+  while (count(fitted) > MAX_PAGES) fitted *= 0.9;
+  const tileWidth = PAGE_WIDTH / fitted;
+  const tileHeight = PAGE_HEIGHT / fitted;
+  const tiles = [];
+  for (let y = bounds.y; y < bounds.y + bounds.height; y += tileHeight) {
+    for (let x = bounds.x; x < bounds.x + bounds.width; x += tileWidth) {
+      tiles.push({ x, y, width: tileWidth, height: tileHeight });
+    }
+  }
+  return { tiles, scale: fitted };
+}
+
+// Resolves to a PDF Blob. Pages are rendered one after another to keep
+// memory down; a transparent background comes out white.
+export function renderToPdf(actions, { bounds, scale = 1, background, findAction }) {
+  const { tiles, scale: fitted } = pageTiles(bounds, scale);
+  const pageBackground = background === 'grid' ? 'grid' : 'white';
+  const imageCache = { current: new Map() };
+  const pages = [];
+  return tiles
+    .reduce(
+      (previous, tile) =>
+        previous
+          .then(() =>
+            renderToCanvas(actions, {
+              bounds: tile,
+              scale: fitted * PAGE_RESOLUTION,
+              background: pageBackground,
+              findAction,
+              imageCache
+            })
+          )
+          .then((canvas) => {
+            pages.push({
+              jpeg: dataUrlBytes(canvas.toDataURL('image/jpeg', 0.92)),
+              width: canvas.width,
+              height: canvas.height
+            });
+          }),
+      Promise.resolve()
+    )
+    .then(() => buildPdf(pages));
+}
@@ -0,0 +1,53 @@
+// Reading files picked, pasted or dropped onto the board, and downloading them.
+
+// New images are scaled down to fit this many world units.
+const MAX_IMAGE_SIZE = 360;
+
+export const isImageFile = (file) => file.type.startsWith('image/');
+
+// Our own scene files and Excalidraw ones.
+export const isSceneFile = (file) =>
+  file.type === 'application/json' || /\.(json|excalidraw)$/i.test(file.name);
+
+// `format` is 'dataURL' or 'text'.
+export function readFile(file, format) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    if (format === 'text') {
+      reader.readAsText(file);
+    } else {
+      reader.readAsDataURL(file);
+    }
+  });
+}
+
+// Resolves to { src, width, height } with the size fitted to
+// MAX_IMAGE_SIZE. SVGs without a size of their own get the full size.
+export function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      let width = img.width || MAX_IMAGE_SIZE;
+      let height = img.height || MAX_IMAGE_SIZE;
+      if (width > MAX_IMAGE_SIZE || height > MAX_IMAGE_SIZE) {
+        const scale = Math.min(MAX_IMAGE_SIZE / width, MAX_IMAGE_SIZE / height);
+        width = Math.round(width * scale);
+        height = Math.round(height * scale);
+      }
+      resolve({ src, width, height });
+    };
+    img.onerror = () => reject(new Error('Could not load image'));
+    img.src = src;
+  });
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,312 @@
+// Geometry helpers shared by drawing and hit testing.
+
+// Line-like actions store absolute world points [x0, y0, x1, y1, ...].
+export const LINEAR_TYPES = ['line', 'arrow'];
+
+// Shapes an arrow end can be bound to.
+export const BINDABLE_TYPES = ['rect', 'ellipse'];
+
+export const ARROWHEADS = ['arrow', 'triangle', 'dot', 'bar'];
+
+// Space left between a bound arrow end and the shape outline.
+const BINDING_GAP = 4;
+
+export const isLinear = (action) => LINEAR_TYPES.includes(action?.type);
+
+// Box-shaped elements keep their rotation in `data.angle` (radians, about the
+// box center); strokes and lines are rotated by moving their points.
+export const isBoxed = (action) =>
+  Boolean(action) && action.type !== 'path' && !isLinear(action);
+
+export function normalizeBox({ x, y, width, height }) {
+  return {
+    x: width < 0 ? x + width : x,
+    y: height < 0 ? y + height : y,
+    width: Math.abs(width),
+    height: Math.abs(height)
+  };
+}
+
+export const boxCenter = (box) => ({ x: box.x + box.width / 2, y: box.y + box.height / 2 });
+
+export function rotatePoint(point, center, angle) {
+  if (!angle) return point;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const dx = point.x - center.x;
+  const dy = point.y - center.y;
+  return { x: center.x + dx * cos - dy * sin, y: center.y + dx * sin + dy * cos };
+}
+
+// Corners of `box` turned by `angle` about its center, as a flat point list.
+export function boxCorners(box, angle = 0) {
+  const center = boxCenter(box);
+  return [
+    { x: box.x, y: box.y },
+    { x: box.x + box.width, y: box.y },
+    { x: box.x + box.width, y: box.y + box.height },
+    { x: box.x, y: box.y + box.height }
+  ].flatMap((corner) => {
+    const { x, y } = rotatePoint(corner, center, angle);
+    return [x, y];
+  });
+}
+
+// Whether `point` is inside a (possibly rotated) box, grown by `margin`.
+export function boxHit(data, point, margin = 0) {
+  const box = normalizeBox(data);
+  const local = rotatePoint(point, boxCenter(box), -(data.angle || 0));
+  return (
+    local.x >= box.x - margin &&
+    local.x <= box.x + box.width + margin &&
+    local.y >= box.y - margin &&
+    local.y <= box.y + box.height + margin
+  );
+}
+
+export function pointsBounds(points) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (let i = 0; i < points.length; i += 2) {
+    minX = Math.min(minX, points[i]);
+    minY = Math.min(minY, points[i + 1]);
+    maxX = Math.max(maxX, points[i]);
+    maxY = Math.max(maxY, points[i + 1]);
+  }
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+export function distanceToSegment(px, py, x1, y1, x2, y2) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq
+    ? Math.min(1, Math.max(0, ((px - x1) * dx + (py - y1) * dy) / lengthSq))
+    : 0;
+  return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+}
+
+export function hitPolyline(points, { x, y }, tolerance) {
+  for (let i = 2; i < points.length; i += 2) {
+    const distance = distanceToSegment(
+      x,
+      y,
+      points[i - 2],
+      points[i - 1],
+      points[i],
+      points[i + 1]
+    );
+    if (distance <= tolerance) return true;
+  }
+  return false;
+}
+
+function centerOf(action) {
+  return boxCenter(normalizeBox(action.data));
+}
+
+// Where the ray from the shape's center towards `toward` leaves its outline.
+// Worked out in the shape's own unrotated frame.
+function edgePoint(target, toward) {
+  const box = normalizeBox(target.data);
+  const center = centerOf(target);
+  const angle = target.data.angle || 0;
+  const local = rotatePoint(toward, center, -angle);
+  const dx = local.x - center.x;
+  const dy = local.y - center.y;
+  const length = Math.hypot(dx, dy);
+  if (!length) return center;
+  const halfWidth = box.width / 2;
+  const halfHeight = box.height / 2;
+  const t =
+    target.type === 'ellipse'
+      ? 1 / Math.hypot(dx / halfWidth, dy / halfHeight)
+      : Math.min(halfWidth / Math.abs(dx), halfHeight / Math.abs(dy));
+  const scale = t + BINDING_GAP / length;
+  return rotatePoint({ x: center.x + dx * scale, y: center.y + dy * scale }, center, angle);
+}
+
+function boundTarget(binding, findAction) {
+  if (!binding) return null;
+  const target = findAction(binding.actionId);
+  if (!target || target.undone || !BINDABLE_TYPES.includes(target.type)) {
+    return null;
+  }
+  return target;
+}
+
+// The points to draw for a line or arrow. Bound arrow ends are placed on the
+// bound shape's outline, so arrows follow shapes however they are moved; the
+// stored points are used when the shape is gone.
+export function resolvePoints(action, findAction) {
+  const { points, startBinding, endBinding } = action.data;
+  const start = boundTarget(startBinding, findAction);
+  const end = boundTarget(endBinding, findAction);
+  if (!start && !end) return points;
+  const resolved = [...points];
+  const last = points.length - 2;
+  // A straight arrow bound at both ends aims from center to center.
+  const straight = points.length === 4;
+  if (start) {
+    const toward = end && straight ? centerOf(end) : { x: points[2], y: points[3] };
+    const point = edgePoint(start, toward);
+    resolved[0] = point.x;
+    resolved[1] = point.y;
+  }
+  if (end) {
+    const toward =
+      start && straight ? centerOf(start) : { x: points[last - 2], y: points[last - 1] };
+    const point = edgePoint(end, toward);
+    resolved[last] = point.x;
+    resolved[last + 1] = point.y;
+  }
+  return resolved;
+}
+
+// Topmost shape an arrow end dropped at `point` binds to.
+export function findBindTarget(actions, point) {
+  for (let i = actions.length - 1; i >= 0; i -= 1) {
+    const action = actions[i];
+    if (action.undone || !BINDABLE_TYPES.includes(action.type)) continue;
+    if (boxHit(action.data, point)) return action;
+  }
+  return null;
+}
+
+// World-space bounding box of an element as drawn.
+export function elementBounds(action, findAction) {
+  if (isLinear(action)) return pointsBounds(resolvePoints(action, findAction));
+  if (action.type === 'path') return pointsBounds(action.data.points);
+  if (action.data.angle) {
+    return pointsBounds(boxCorners(normalizeBox(action.data), action.data.angle));
+  }
+  return normalizeBox(action.data);
+}
+
+export function unionBounds(boxes) {
+  const minX = Math.min(...boxes.map((box) => box.x));
+  const minY = Math.min(...boxes.map((box) => box.y));
+  const maxX = Math.max(...boxes.map((box) => box.x + box.width));
+  const maxY = Math.max(...boxes.map((box) => box.y + box.height));
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+export function boxContains(outer, inner) {
+  return (
+    inner.x >= outer.x &&
+    inner.y >= outer.y &&
+    inner.x + inner.width <= outer.x + outer.width &&
+    inner.y + inner.height <= outer.y + outer.height
+  );
+}
+
+export function moveElement(data, dx, dy) {
+  if (data.points) {
+    return { ...data, points: data.points.map((value, i) => value + (i % 2 ? dy : dx)) };
+  }
+  return { ...data, x: data.x + dx, y: data.y + dy };
+}
+
+// Scales an element's geometry about `origin`; stroke widths and font sizes
+// are left alone.
+export function scaleElement(data, origin, scaleX, scaleY) {
+  const mapX = (value) => origin.x + (value - origin.x) * scaleX;
+  const mapY = (value) => origin.y + (value - origin.y) * scaleY;
+  if (data.points) {
+    return {
+      ...data,
+      points: data.points.map((value, i) => (i % 2 ? mapY(value) : mapX(value)))
+    };
+  }
+  const box = normalizeBox(data);
+  return {
+    ...data,
+    x: mapX(box.x),
+    y: mapY(box.y),
+    width: box.width * scaleX,
+    height: box.height * scaleY
+  };
+}
+
+export function rotateElement(data, center, angle) {
+  if (data.points) {
+    const points = [];
+    for (let i = 0; i < data.points.length; i += 2) {
+      const point = rotatePoint({ x: data.points[i], y: data.points[i + 1] }, center, angle);
+      points.push(point.x, point.y);
+    }
+    return { ...data, points };
+  }
+  const box = normalizeBox(data);
+  const moved = rotatePoint(boxCenter(box), center, angle);
+  return {
+    ...data,
+    x: moved.x - box.width / 2,
+    y: moved.y - box.height / 2,
+    angle: ((data.angle || 0) + angle) % (Math.PI * 2)
+  };
+}
+
+// The frame transform handles are drawn around: a lone box-shaped element
+// keeps its own rotation, anything else gets the selection's upright bounds.
+export function selectionFrame(selected, findAction) {
+  if (selected.length === 1 && isBoxed(selected[0])) {
+    const [action] = selected;
+    return { box: normalizeBox(action.data), angle: action.data.angle || 0 };
+  }
+  return {
+    box: unionBounds(selected.map((action) => elementBounds(action, findAction))),
+    angle: 0
+  };
+}
+
+// Resize handles by name, as fractions of the frame's width and height.
+export const HANDLES = {
+  nw: [0, 0],
+  n: [0.5, 0],
+  ne: [1, 0],
+  e: [1, 0.5],
+  se: [1, 1],
+  s: [0.5, 1],
+  sw: [0, 1],
+  w: [0, 0.5]
+};
+
+// Resizes `box` by dragging `handle` by (dx, dy) in the box's own frame. The
+// opposite edge stays put, or the center with `fromCenter`; `keepAspect`
+// keeps the width/height ratio.
+export function resizeBox(box, handle, dx, dy, { keepAspect, fromCenter, minSize = 1 }) {
+  let horizontal = 0;
+  if (handle.includes('e')) horizontal = 1;
+  if (handle.includes('w')) horizontal = -1;
+  let vertical = 0;
+  if (handle.includes('s')) vertical = 1;
+  if (handle.includes('n')) vertical = -1;
+  const reach = fromCenter ? 2 : 1;
+  let width = Math.max(minSize, box.width + horizontal * dx * reach);
+  let height = Math.max(minSize, box.height + vertical * dy * reach);
+  if (keepAspect && box.width && box.height) {
+    const ratio = box.width / box.height;
+    if (horizontal && vertical) {
+      if (width / box.width > height / box.height) {
+        height = width / ratio;
+      } else {
+        width = height * ratio;
+      }
+    } else if (horizontal) {
+      height = width / ratio;
+    } else {
+      width = height * ratio;
+    }
+  }
+  const anchorX = fromCenter || !horizontal ? 0.5 : horizontal === 1 ? 0 : 1;
+  const anchorY = fromCenter || !vertical ? 0.5 : vertical === 1 ? 0 : 1;
+  return {
+    x: box.x + (box.width - width) * anchorX,
+    y: box.y + (box.height - height) * anchorY,
+    width,
+    height
+  };
+}
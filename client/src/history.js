@@ -0,0 +1,62 @@
+// Per-user undo history. A command is either
+//   { type: 'create', actionIds } - undone by marking the actions undone
+//                                   (deleting creates a `delete` action)
+//   { type: 'edit', updates: [{ actionId, before, after }] }
+//                                 - undone by putting `before` back
+// The history lives in memory only, so it starts empty after a reload.
+
+import { getClearedIds } from './board.js';
+
+const MAX_COMMANDS = 200;
+
+export function createHistory() {
+  return { undo: [], redo: [] };
+}
+
+// A new command makes the undone ones unreachable.
+export function recordCommand(history, command) {
+  history.undo.push(command);
+  if (history.undo.length > MAX_COMMANDS) history.undo.shift();
+  history.redo = [];
+}
+
+// Edit command for data replaced in place, leaving out unchanged elements.
+// Returns null when nothing changed.
+export function editCommand(updates) {
+  const changed = updates.filter(
+    ({ before, after }) => before && JSON.stringify(before) !== JSON.stringify(after)
+  );
+  return changed.length ? { type: 'edit', updates: changed } : null;
+}
+
+// The data an edit command puts back: `before` to undo it, `after` to redo it.
+export function commandUpdates(command, direction) {
+  const key = direction === 'undo' ? 'before' : 'after';
+  return command.updates.map((update) => ({ actionId: update.actionId, data: update[key] }));
+}
+
+// Pops the newest command that still applies: its elements exist and no
+// board clear hides them. Commands that no longer apply are dropped.
+export function popCommand(stack, actions) {
+  const hidden = getClearedIds(actions);
+  const ids = new Set(actions.map((action) => action.id));
+  while (stack.length) {
+    const command = stack.pop();
+    const targets =
+      command.type === 'create'
+        ? command.actionIds
+        : command.updates.map(({ actionId }) => actionId);
+    if (targets.every((id) => ids.has(id) && !hidden.has(id))) return command;
+  }
+  return null;
+}
+
+// With nothing recorded since the page loaded, undo walks back our own
+// elements newest first.
+export function lastCreation(actions, userId) {
+  const hidden = getClearedIds(actions);
+  const last = [...actions]
+    .reverse()
+    .find((action) => action.userId === userId && !action.undone && !hidden.has(action.id));
+  return last ? { type: 'create', actionIds: [last.id] } : null;
+}
@@ -0,0 +1,59 @@
+// Per-room cache in IndexedDB so a board and any changes made while offline
+// survive a reload: { actions, lastSeq, pending } keyed by room id.
+
+const DB_NAME = 'realtime-canvas';
+const DB_VERSION = 1;
+const STORE = 'rooms';
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+function run(mode, operate) {
+  return openDb().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const request = operate(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      })
+  );
+}
+
+// Resolves to the cached room or null; never rejects, since the app works
+// without a cache.
+export function loadRoomCache(roomId) {
+  return run('readonly', (store) => store.get(roomId))
+    .then((cached) => cached || null)
+    .catch((err) => {
+      console.warn('Could not read offline cache', err);
+      return null;
+    });
+}
+
+export function saveRoomCache(roomId, cache) {
+  return run('readwrite', (store) => store.put(cache, roomId)).catch((err) => {
+    console.warn('Could not write offline cache', err);
+  });
+}
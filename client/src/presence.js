@@ -0,0 +1,66 @@
+// Presence helpers shared by the header and the canvas.
+
+// How long a remote cursor stays visible without moving.
+export const CURSOR_IDLE_MS = 5000;
+
+// How often we send our own cursor position.
+export const CURSOR_SEND_INTERVAL_MS = 50;
+
+// A stable color per user id, so everyone sees the same color for a peer.
+export function colorForUser(userId = '') {
+  let hash = 0;
+  for (let i = 0; i < userId.length; i += 1) {
+    hash = (hash * 31 + userId.charCodeAt(i)) | 0;
+  }
+  const hue = Math.abs(hash) % 360;
+  return `hsl(${hue}, 70%, 45%)`;
+}
+
+// Swatches offered when picking a profile color.
+export const PROFILE_COLORS = [
+  '#ef4444',
+  '#f97316',
+  '#eab308',
+  '#22c55e',
+  '#14b8a6',
+  '#3b82f6',
+  '#8b5cf6',
+  '#ec4899'
+];
+
+const PROFILE_KEY = 'rc-profile';
+
+// The locally chosen { name, color }, or null before the user picked one.
+export function loadProfile() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PROFILE_KEY));
+    if (stored && typeof stored.name === 'string') return stored;
+  } catch {
+    // fall through
+  }
+  return null;
+}
+
+export function storeProfile(profile) {
+  try {
+    localStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
+  } catch {
+    // storage unavailable; the profile lasts for this tab only
+  }
+}
+
+export function displayName(profile) {
+  return profile?.name || `Guest ${profile?.userId || ''}`.trim();
+}
+
+export function profileColor(profile) {
+  return profile?.color || colorForUser(profile?.userId);
+}
+
+export function initials(profile) {
+  const words = displayName(profile).split(/\s+/).filter(Boolean);
+  return words
+    .slice(0, 2)
+    .map((word) => word[0].toUpperCase())
+    .join('');
+}
@@ -0,0 +1,161 @@
+// Scene files: a whole board saved as JSON, to be opened again in any room.
+//
+// Version 2 (current):
+//   {
+//     type: 'whiteboard/scene',
+//     version: 2,
+//     savedAt: ISO date,
+//     style: { strokeColor, strokeWidth, shapeStyle, textStyle, arrowheads },
+//     elements: [{ id, type, data }],
+//     assets: { [assetId]: dataURL }
+//   }
+// Images keep their picture in `assets` and point at it with `data.assetId`
+// instead of `data.src`, so an image used twice is stored once.
+//
+// Version 1 is the copy/paste format (clipboard.js): elements only, with
+// images inline. Older files are migrated up before they are checked.
+//
+// Excalidraw files (excalidraw.js) are converted to the current version on
+// the way in; elements that can't be converted are reported as `skipped`.
+
+import { nanoid } from 'nanoid';
+import { CLIPBOARD_TYPE, copyElements, elementProblem } from './clipboard.js';
+import { EXCALIDRAW_TYPE, fromExcalidraw, summarizeSkipped } from './excalidraw.js';
+
+const SCENE_TYPE = 'whiteboard/scene';
+export const SCENE_VERSION = 2;
+
+// Problems listed in a validation error before the rest are summed up.
+const MAX_LISTED_PROBLEMS = 3;
+
+export class SceneError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SceneError';
+  }
+}
+
+// Moves inline image data into `assets`, one asset per distinct picture.
+function extractAssets(elements) {
+  const assets = {};
+  const idsBySrc = new Map();
+  const stored = elements.map((element) => {
+    if (element?.type !== 'image' || typeof element.data?.src !== 'string') return element;
+    const { src, ...data } = element.data;
+    if (!idsBySrc.has(src)) {
+      const assetId = nanoid();
+      idsBySrc.set(src, assetId);
+      assets[assetId] = src;
+    }
+    return { ...element, data: { ...data, assetId: idsBySrc.get(src) } };
+  });
+  return { elements: stored, assets };
+}
+
+export function serializeScene(actions, findAction, style) {
+  const { elements, assets } = extractAssets(copyElements(actions, findAction));
+  return JSON.stringify({
+    type: SCENE_TYPE,
+    version: SCENE_VERSION,
+    savedAt: new Date().toISOString(),
+    style,
+    elements,
+    assets
+  });
+}
+
+// MIGRATIONS[n] turns a version n file into version n + 1.
+const MIGRATIONS = {
+  1: (file) => ({
+    type: SCENE_TYPE,
+    version: 2,
+    style: {},
+    ...extractAssets(Array.isArray(file.elements) ? file.elements : [])
+  })
+};
+
+// Puts image data back in `data.src`, where the element checks and the
+// board expect it.
+function inlineAssets(elements, assets) {
+  return elements.map((element) => {
+    if (element?.type !== 'image' || !element.data || typeof element.data !== 'object') {
+      return element;
+    }
+    const { assetId, ...data } = element.data;
+    return { ...element, data: { ...data, src: assets[assetId] } };
+  });
+}
+
+function parseFile(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new SceneError('The file is not valid JSON.');
+  }
+}
+
+function importExcalidraw(file) {
+  const { elements, assets, skipped } = fromExcalidraw(file);
+  if (!elements.length && skipped.length) {
+    throw new SceneError(
+      `None of the elements could be converted: ${summarizeSkipped(skipped).join('; ')}.`
+    );
+  }
+  return {
+    file: { type: SCENE_TYPE, version: SCENE_VERSION, style: {}, elements, assets },
+    skipped
+  };
+}
+
+// Reads a scene file of any version, or an Excalidraw file, into
+// { elements, style, skipped }, with image data back in `data.src`. Throws
+// SceneError describing what is wrong.
+export function parseScene(text) {
+  let file = parseFile(text);
+  let skipped = [];
+  if (file?.type === EXCALIDRAW_TYPE) {
+    ({ file, skipped } = importExcalidraw(file));
+  }
+  if (file?.type !== SCENE_TYPE && file?.type !== CLIPBOARD_TYPE) {
+    throw new SceneError('The file is not a whiteboard scene.');
+  }
+  if (!Number.isInteger(file.version) || file.version < 1) {
+    throw new SceneError('The scene has no valid format version.');
+  }
+  // Copied elements are only ever the version 1 format; anything else
+  // claiming to be them would skip the migrations.
+  if (file.type === CLIPBOARD_TYPE && file.version !== 1) {
+    throw new SceneError(
+      `The copied elements use format version ${file.version}; this app reads 1.`
+    );
+  }
+  if (file.version > SCENE_VERSION) {
+    throw new SceneError(
+      `The scene uses format version ${file.version}; this app reads up to ${SCENE_VERSION}.`
+    );
+  }
+  while (file.version < SCENE_VERSION) {
+    file = MIGRATIONS[file.version](file);
+  }
+  if (!Array.isArray(file.elements) || !file.elements.length) {
+    throw new SceneError('The scene has no elements.');
+  }
+  const assets = file.assets && typeof file.assets === 'object' ? file.assets : {};
+  const inlined = inlineAssets(file.elements, assets);
+  const problems = inlined
+    .map((element, index) => {
+      const problem = elementProblem(element);
+      return problem && `element ${index + 1} ${problem}`;
+    })
+    .filter(Boolean);
+  if (problems.length) {
+    const more = problems.length - MAX_LISTED_PROBLEMS;
+    const listed = problems.slice(0, MAX_LISTED_PROBLEMS).join('; ');
+    throw new SceneError(
+      `The scene is malformed: ${listed}${more > 0 ? ` and ${more} more` : ''}.`
+    );
+  }
+  const elements = inlined.map(({ id, type, data }) => ({ id, type, data }));
+  const style = file.style && typeof file.style === 'object' ? file.style : {};
+  return { elements, style, skipped };
+}
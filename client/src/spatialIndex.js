@@ -0,0 +1,155 @@
+// Grid-bucket spatial index over the board's elements, so drawing, hit
+// testing and marquee selection only look at elements near the area they
+// care about instead of the whole board.
+//
+// The index is updated in place as the actions array changes. Actions are
+// replaced rather than mutated on every edit, so an unchanged object means
+// unchanged bounds, except for arrows bound to a shape that moved; those are
+// re-bucketed along with the shape.
+
+import { elementBounds, isLinear } from './geometry.js';
+
+// World units per grid cell.
+const CELL_SIZE = 256;
+
+// Elements spanning more cells than this are kept in one list that every
+// query checks, rather than in thousands of cells.
+const MAX_CELLS = 64;
+
+// Bounds are grown by this much per unit of stroke width, plus a fixed
+// amount, to cover stroke edges and arrowheads.
+const STROKE_PADDING = 3;
+const FIXED_PADDING = 10;
+
+export function createSpatialIndex() {
+  return {
+    // id -> { action, bounds, cells: string[] | null, order }
+    entries: new Map(),
+    // 'cx,cy' -> Set of ids
+    cells: new Map(),
+    oversized: new Set()
+  };
+}
+
+function paddedBounds(action, findAction) {
+  const box = elementBounds(action, findAction);
+  const pad = (action.data.strokeWidth || 0) * STROKE_PADDING + FIXED_PADDING;
+  return {
+    x: box.x - pad,
+    y: box.y - pad,
+    width: box.width + pad * 2,
+    height: box.height + pad * 2
+  };
+}
+
+// Cell keys covered by `box`, or null when there are more than `limit`.
+function cellsFor(box, limit = Infinity) {
+  const minX = Math.floor(box.x / CELL_SIZE);
+  const minY = Math.floor(box.y / CELL_SIZE);
+  const maxX = Math.floor((box.x + box.width) / CELL_SIZE);
+  const maxY = Math.floor((box.y + box.height) / CELL_SIZE);
+  if ((maxX - minX + 1) * (maxY - minY + 1) > limit) return null;
+  const keys = [];
+  for (let cx = minX; cx <= maxX; cx += 1) {
+    for (let cy = minY; cy <= maxY; cy += 1) {
+      keys.push(`${cx},${cy}`);
+    }
+  }
+  return keys;
+}
+
+function remove(index, id) {
+  const entry = index.entries.get(id);
+  if (!entry) return;
+  if (entry.cells) {
+    entry.cells.forEach((key) => {
+      const bucket = index.cells.get(key);
+      bucket.delete(id);
+      if (!bucket.size) index.cells.delete(key);
+    });
+  } else {
+    index.oversized.delete(id);
+  }
+  index.entries.delete(id);
+}
+
+function insert(index, action, order, findAction) {
+  const bounds = paddedBounds(action, findAction);
+  const cells = cellsFor(bounds, MAX_CELLS);
+  if (cells) {
+    cells.forEach((key) => {
+      if (!index.cells.has(key)) index.cells.set(key, new Set());
+      index.cells.get(key).add(action.id);
+    });
+  } else {
+    index.oversized.add(action.id);
+  }
+  index.entries.set(action.id, { action, bounds, cells, order });
+}
+
+const boundTo = (action, ids) =>
+  isLinear(action) &&
+  (ids.has(action.data.startBinding?.actionId) || ids.has(action.data.endBinding?.actionId));
+
+// Brings `index` in line with `actions`; undone elements are left out.
+export function updateSpatialIndex(index, actions, findAction) {
+  const seen = new Set();
+  const changed = new Set();
+  actions.forEach((action, order) => {
+    if (action.undone || !action.data) return;
+    seen.add(action.id);
+    const entry = index.entries.get(action.id);
+    if (entry?.action === action) {
+      entry.order = order;
+      return;
+    }
+    remove(index, action.id);
+    insert(index, action, order, findAction);
+    changed.add(action.id);
+  });
+  [...index.entries.keys()].forEach((id) => {
+    if (seen.has(id)) return;
+    remove(index, id);
+    changed.add(id);
+  });
+  if (changed.size) {
+    const arrows = [...index.entries.values()].filter(
+      (entry) => !changed.has(entry.action.id) && boundTo(entry.action, changed)
+    );
+    arrows.forEach(({ action, order }) => {
+      remove(index, action.id);
+      insert(index, action, order, findAction);
+    });
+  }
+  return index;
+}
+
+const intersects = (a, b) =>
+  a.x <= b.x + b.width && b.x <= a.x + a.width && a.y <= b.y + b.height && b.y <= a.y + a.height;
+
+// Elements whose drawn area meets `box`, in drawing order.
+export function queryBox(index, box) {
+  const ids = new Set(index.oversized);
+  // A box covering more cells than are in use (zoomed far out) is quicker
+  // to answer from the entries.
+  const cells = cellsFor(box, index.cells.size);
+  if (!cells) {
+    index.entries.forEach((entry, id) => ids.add(id));
+  } else {
+    cells.forEach((key) => index.cells.get(key)?.forEach((id) => ids.add(id)));
+  }
+  return [...ids]
+    .map((id) => index.entries.get(id))
+    .filter((entry) => intersects(entry.bounds, box))
+    .sort((a, b) => a.order - b.order)
+    .map((entry) => entry.action);
+}
+
+// Elements whose drawn area is within `distance` of `point`, in drawing order.
+export const queryPoint = (index, point, distance = 0) =>
+  queryBox(index, {
+    x: point.x - distance,
+    y: point.y - distance,
+    width: distance * 2,
+    height: distance * 2
+  });
@@ -0,0 +1,44 @@
+// Style properties carried in `action.data` next to the geometry. All of them
+// are optional so actions drawn before they existed still render.
+
+export const STROKE_STYLES = ['solid', 'dashed', 'dotted'];
+
+// fillColor null means transparent.
+export const DEFAULT_STYLE = {
+  fillColor: null,
+  opacity: 1,
+  strokeStyle: 'solid'
+};
+
+const STROKED_TYPES = ['path', 'line', 'arrow', 'rect', 'ellipse'];
+const FILLED_TYPES = ['rect', 'ellipse'];
+
+// The action type each drawing tool creates.
+export const TOOL_TYPES = {
+  pen: 'path',
+  rect: 'rect',
+  ellipse: 'ellipse',
+  line: 'line',
+  arrow: 'arrow',
+  text: 'text',
+  image: 'image'
+};
+
+// Style fields an action type supports, in the order the style panel shows them.
+export function styleFieldsFor(type) {
+  const fields = [];
+  if (STROKED_TYPES.includes(type) || type === 'text') fields.push('strokeColor');
+  if (FILLED_TYPES.includes(type)) fields.push('fillColor');
+  if (STROKED_TYPES.includes(type)) fields.push('strokeWidth', 'strokeStyle');
+  fields.push('opacity');
+  return fields;
+}
+
+// The fields of `style` that apply to `type`, for a new action's data.
+export function styleFor(type, style) {
+  return Object.fromEntries(
+    styleFieldsFor(type)
+      .filter((field) => field in style)
+      .map((field) => [field, style[field]])
+  );
+}
@@ -0,0 +1,71 @@
+// Text layout shared by canvas drawing, hit testing and the in-place editor,
+// so a text element wraps the same way everywhere.
+
+export const FONT_FAMILIES = {
+  sans: 'Inter, system-ui, sans-serif',
+  serif: 'Georgia, "Times New Roman", serif',
+  mono: '"JetBrains Mono", "SFMono-Regular", Consolas, monospace',
+  hand: '"Comic Sans MS", "Comic Neue", cursive'
+};
+
+export const FONT_SIZES = [16, 24, 32, 48, 64];
+
+export const TEXT_ALIGNS = ['left', 'center', 'right'];
+
+export const LINE_HEIGHT = 1.25;
+
+// Wrapping width of a new text element, in world units.
+export const DEFAULT_TEXT_WIDTH = 320;
+
+export function fontFor({ fontFamily, fontSize }) {
+  return `${fontSize}px ${FONT_FAMILIES[fontFamily] || FONT_FAMILIES.sans}`;
+}
+
+let measureContext = null;
+
+function getMeasureContext() {
+  if (!measureContext) {
+    measureContext = document.createElement('canvas').getContext('2d');
+  }
+  return measureContext;
+}
+
+function breakWord(ctx, word, width) {
+  const pieces = [];
+  let piece = '';
+  for (const char of word) {
+    if (piece && ctx.measureText(piece + char).width > width) {
+      pieces.push(piece);
+      piece = char;
+    } else {
+      piece += char;
+    }
+  }
+  pieces.push(piece);
+  return pieces;
+}
+
+// Splits `data.text` into lines no wider than `data.width`, keeping explicit
+// line breaks. Words longer than a line are broken between characters.
+export function layoutText(data) {
+  const ctx = getMeasureContext();
+  ctx.font = fontFor(data);
+  const lines = [];
+  data.text.split('\n').forEach((paragraph) => {
+    let line = '';
+    paragraph.split(' ').forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (ctx.measureText(candidate).width <= data.width) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+      const pieces = breakWord(ctx, word, data.width);
+      line = pieces.pop();
+      lines.push(...pieces);
+    });
+    lines.push(line);
+  });
+  const lineHeight = data.fontSize * LINE_HEIGHT;
+  return { lines, lineHeight, height: lines.length * lineHeight };
+}
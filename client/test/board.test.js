@@ -0,0 +1,129 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyLocalOp, applyServerEvent, claimActions, claimOps } from '../src/board.js';
+
+const rect = (id, extra = {}) => ({
+  id,
+  type: 'rect',
+  userId: 'u1',
+  undone: false,
+  data: { x: 0, y: 0, width: 10, height: 10 },
+  ...extra
+});
+
+const op = (event, payload) => ({
+  id: `${event}-${payload.id || payload.actionId}`,
+  event,
+  payload
+});
+
+const replay = (actions, events) =>
+  events.reduce((next, { event, payload }) => applyServerEvent(next, event, payload), actions);
+
+test('applyServerEvent applies each sequenced event', () => {
+  const actions = replay([], [
+    { event: 'action-added', payload: rect('a') },
+    { event: 'action-added', payload: rect('b') },
+    { event: 'action-updated', payload: { actionId: 'a', data: { x: 4 } } },
+    { event: 'actions-updated', payload: { updates: [{ actionId: 'b', data: { x: 6 } }] } },
+    { event: 'action-undone', payload: { actionId: 'a' } }
+  ]);
+  assert.deepEqual(actions.map(({ id, undone, data }) => [id, undone, data]), [
+    ['a', true, { x: 4 }],
+    ['b', false, { x: 6 }]
+  ]);
+  assert.equal(applyServerEvent(actions, 'action-redone', { actionId: 'a' })[0].undone, false);
+  assert.equal(applyServerEvent(actions, 'something-else', {}), actions);
+});
+
+test('replaying missed events is safe when some were already applied', () => {
+  const events = [
+    { event: 'action-added', payload: rect('a') },
+    { event: 'action-updated', payload: { actionId: 'a', data: { x: 9 } } },
+    { event: 'action-added', payload: rect('b') }
+  ];
+  const once = replay([], events);
+  assert.deepEqual(replay(replay([], events.slice(0, 2)), events), once);
+  assert.deepEqual(once.map(({ id }) => id), ['a', 'b']);
+});
+
+test('a rejoin puts queued changes back on top of the missed events', () => {
+  const local = [rect('a')];
+  const missed = [
+    { event: 'action-updated', payload: { actionId: 'a', data: { x: 1, y: 1 } } },
+    { event: 'action-added', payload: rect('remote', { userId: 'u2' }) }
+  ];
+  const outbox = [
+    op('update-action', { actionId: 'a', data: { x: 5 } }),
+    op('add-action', rect('c'))
+  ];
+  const actions = outbox.reduce(applyLocalOp, replay(local, missed));
+  assert.deepEqual(actions.map(({ id }) => id), ['a', 'remote', 'c']);
+  assert.deepEqual(actions[0].data, { x: 5, y: 1 });
+});
+
+test('applyLocalOp adds each created or deleting action once', () => {
+  const deletion = { id: 'd', type: 'delete', data: { actionIds: ['a'] } };
+  let actions = applyLocalOp([], op('add-action', rect('a')));
+  actions = applyLocalOp(actions, op('add-action', rect('a')));
+  actions = applyLocalOp(actions, op('delete-action', deletion));
+  assert.deepEqual(actions.map(({ id }) => id), ['a', 'd']);
+});
+
+test('applyLocalOp merges or replaces edited data', () => {
+  const actions = [rect('a'), rect('b')];
+  const merged = applyLocalOp(actions, op('update-action', { actionId: 'a', data: { x: 5 } }));
+  assert.deepEqual(merged[0].data, { x: 5, y: 0, width: 10, height: 10 });
+  assert.equal(merged[1], actions[1]);
+
+  const replaced = applyLocalOp(actions, {
+    event: 'update-action',
+    payload: { actionId: 'a', data: { x: 1 }, replace: true }
+  });
+  assert.deepEqual(replaced[0].data, { x: 1 });
+
+  const many = applyLocalOp(actions, {
+    event: 'update-actions',
+    payload: { updates: [{ actionId: 'a', data: { x: 2 } }, { actionId: 'b', data: { y: 3 } }] }
+  });
+  assert.deepEqual(many.map(({ data }) => [data.x, data.y]), [[2, 0], [0, 3]]);
+});
+
+test('applyLocalOp undoes and redoes', () => {
+  const undone = applyLocalOp([rect('a')], op('undo-action', { actionId: 'a' }));
+  assert.equal(undone[0].undone, true);
+  assert.equal(applyLocalOp(undone, op('redo-action', { actionId: 'a' }))[0].undone, false);
+  assert.deepEqual(applyLocalOp(undone, op('unknown', { actionId: 'a' })), undone);
+});
+
+test('queued ops replayed over a fresh snapshot keep their effect', () => {
+  const server = [rect('a')];
+  const outbox = [
+    op('add-action', rect('b')),
+    op('update-action', { actionId: 'a', data: { x: 7 } }),
+    op('add-action', rect('a'))
+  ];
+  const actions = outbox.reduce(applyLocalOp, server);
+  assert.deepEqual(actions.map(({ id, data }) => [id, data.x]), [
+    ['a', 7],
+    ['b', 0]
+  ]);
+});
+
+test('claimActions fills in our userId on actions created before the session', () => {
+  const actions = [rect('a', { userId: null }), rect('b', { userId: 'u2' })];
+  const claimed = claimActions(actions, 'u1');
+  assert.deepEqual(claimed.map(({ userId }) => userId), ['u1', 'u2']);
+  assert.equal(claimed[1], actions[1]);
+  const owned = [rect('c')];
+  assert.equal(claimActions(owned, 'u1'), owned);
+});
+
+test('claimOps patches queued creations only', () => {
+  const update = op('update-action', { actionId: 'a', data: { x: 1 } });
+  const ops = [op('add-action', rect('a', { userId: null })), update];
+  const [add, edit] = claimOps(ops, 'u1');
+  assert.equal(add.payload.userId, 'u1');
+  assert.equal(add.id, ops[0].id);
+  assert.equal(edit, update);
+});
@@ -0,0 +1,143 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fromExcalidraw, summarizeSkipped } from '../src/excalidraw.js';
+import { SceneError, parseScene } from '../src/scene.js';
+
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+
+const base = (id, type, extra = {}) => ({
+  id,
+  type,
+  x: 10,
+  y: 20,
+  width: 100,
+  height: 50,
+  angle: 0,
+  strokeColor: '#1971c2',
+  backgroundColor: 'transparent',
+  strokeWidth: 2,
+  strokeStyle: 'solid',
+  opacity: 100,
+  groupIds: [],
+  ...extra
+});
+
+test('shapes keep their box, colors and style', () => {
+  const { elements, skipped } = fromExcalidraw({
+    elements: [
+      base('r', 'rectangle', { angle: 0.5, backgroundColor: '#ffc9c9', strokeStyle: 'dashed' }),
+      base('e', 'ellipse', {
+        opacity: 40,
+        groupIds: ['inner', 'outer'],
+        strokeColor: 'transparent'
+      })
+    ]
+  });
+  assert.deepEqual(skipped, []);
+  assert.deepEqual(elements[0], {
+    id: 'r',
+    type: 'rect',
+    data: {
+      x: 10,
+      y: 20,
+      width: 100,
+      height: 50,
+      angle: 0.5,
+      strokeColor: '#1971c2',
+      strokeWidth: 2,
+      strokeStyle: 'dashed',
+      fillColor: '#ffc9c9',
+      opacity: 1
+    }
+  });
+  assert.equal(elements[1].type, 'ellipse');
+  assert.equal(elements[1].data.opacity, 0.4);
+  assert.equal(elements[1].data.groupId, 'inner');
+  assert.equal(elements[1].data.strokeColor, '#1e1e1e');
+  assert.equal(elements[1].data.fillColor, null);
+});
+
+test('points become absolute and a single freehand point becomes a dot', () => {
+  const { elements } = fromExcalidraw({
+    elements: [
+      base('l', 'line', { points: [[0, 0], [100, 50]] }),
+      base('f', 'freedraw', { points: [[3, 4]] })
+    ]
+  });
+  assert.deepEqual(elements[0].data.points, [10, 20, 110, 70]);
+  assert.deepEqual(elements[1].data.points, [13, 24, 13, 24]);
+});
+
+test('arrows keep arrowheads and bindings to converted shapes only', () => {
+  const { elements } = fromExcalidraw({
+    elements: [
+      base('r', 'rectangle'),
+      base('d', 'diamond'),
+      base('a', 'arrow', {
+        points: [[0, 0], [50, 0]],
+        startArrowhead: 'circle',
+        endArrowhead: 'triangle_outline',
+        startBinding: { elementId: 'r' },
+        endBinding: { elementId: 'd' }
+      })
+    ]
+  });
+  const arrow = elements.find(({ id }) => id === 'a');
+  assert.equal(arrow.data.startArrowhead, 'dot');
+  assert.equal(arrow.data.endArrowhead, 'triangle');
+  assert.deepEqual(arrow.data.startBinding, { actionId: 'r' });
+  assert.equal(arrow.data.endBinding, null);
+});
+
+test('text and images are converted', () => {
+  const { elements, assets } = fromExcalidraw({
+    elements: [
+      base('t', 'text', { text: 'Hi', fontFamily: 3, fontSize: 1000, textAlign: 'center' }),
+      base('i', 'image', { fileId: 'f1' })
+    ],
+    files: { f1: { dataURL: PNG } }
+  });
+  assert.deepEqual(
+    [elements[0].data.text, elements[0].data.fontFamily, elements[0].data.fontSize],
+    ['Hi', 'mono', 400]
+  );
+  assert.equal(elements[0].data.textAlign, 'center');
+  assert.equal(elements[0].data.width, 120);
+  assert.deepEqual(elements[1].data.assetId, 'f1');
+  assert.deepEqual(assets, { f1: PNG });
+});
+
+test('unsupported and broken elements are reported; deleted ones are not', () => {
+  const { elements, skipped } = fromExcalidraw({
+    elements: [
+      base('d1', 'diamond'),
+      base('d2', 'diamond'),
+      base('x', 'rectangle', { x: 'left' }),
+      base('t', 'text', { text: '  ' }),
+      base('i', 'image', { fileId: 'missing' }),
+      base('gone', 'rectangle', { isDeleted: true }),
+      null
+    ]
+  });
+  assert.deepEqual(elements, []);
+  assert.deepEqual(summarizeSkipped(skipped), [
+    'diamond is not supported (2)',
+    'rectangle has an invalid position or size',
+    'text has no text',
+    'image is missing its image data'
+  ]);
+});
+
+test('parseScene opens Excalidraw files and refuses ones with nothing to convert', () => {
+  const file = {
+    type: 'excalidraw',
+    version: 2,
+    elements: [base('r', 'rectangle'), base('d', 'diamond')]
+  };
+  const { elements, skipped } = parseScene(JSON.stringify(file));
+  assert.deepEqual(elements.map(({ id }) => id), ['r']);
+  assert.deepEqual(skipped, [{ type: 'diamond', reason: 'is not supported' }]);
+
+  const nothing = { type: 'excalidraw', elements: [base('d', 'diamond')] };
+  assert.throws(() => parseScene(JSON.stringify(nothing)), SceneError);
+});
@@ -0,0 +1,164 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  boxHit,
+  elementBounds,
+  findBindTarget,
+  hitPolyline,
+  resizeBox,
+  resolvePoints,
+  rotateElement,
+  rotatePoint,
+  selectionFrame
+} from '../src/geometry.js';
+
+// Bound arrow ends sit this far outside the outline.
+const GAP = 4;
+
+const shape = (id, type, data) => ({ id, type, undone: false, data });
+const arrow = (points, data = {}) => ({ id: 'a', type: 'arrow', data: { points, ...data } });
+
+const finder = (...actions) => (id) => actions.find((action) => action.id === id) || null;
+
+const assertPoints = (actual, expected) => {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-9, `${actual}`));
+};
+
+test('unbound lines are drawn where they were stored', () => {
+  const points = [0, 0, 50, 50];
+  assert.equal(resolvePoints(arrow(points), finder()), points);
+});
+
+test('bound ends land on the outline of a rectangle', () => {
+  const box = shape('r', 'rect', { x: 0, y: 0, width: 100, height: 50 });
+  const bound = arrow([50, 25, 300, 25], { startBinding: { actionId: 'r' } });
+  assertPoints(resolvePoints(bound, finder(box)), [100 + GAP, 25, 300, 25]);
+});
+
+test('bound ends land on the outline of an ellipse', () => {
+  const ellipse = shape('e', 'ellipse', { x: 0, y: 0, width: 100, height: 100 });
+  const bound = arrow([50, -200, 0, 0], { endBinding: { actionId: 'e' } });
+  assertPoints(resolvePoints(bound, finder(ellipse)), [50, -200, 50, -GAP]);
+});
+
+test('a straight arrow bound at both ends aims from center to center', () => {
+  const left = shape('l', 'rect', { x: 0, y: 0, width: 100, height: 100 });
+  const right = shape('r', 'rect', { x: 300, y: 0, width: 100, height: 100 });
+  const bound = arrow([0, 0, 999, 999], {
+    startBinding: { actionId: 'l' },
+    endBinding: { actionId: 'r' }
+  });
+  assertPoints(resolvePoints(bound, finder(left, right)), [100 + GAP, 50, 300 - GAP, 50]);
+});
+
+test('bindings to missing, undone or unbindable elements are ignored', () => {
+  const undone = { ...shape('u', 'rect', { x: 0, y: 0, width: 10, height: 10 }), undone: true };
+  const text = shape('t', 'text', { x: 0, y: 0, width: 10, height: 10 });
+  const points = [5, 5, 100, 100];
+  ['gone', 'u', 't'].forEach((actionId) => {
+    const bound = arrow(points, { startBinding: { actionId } });
+    assert.equal(resolvePoints(bound, finder(undone, text)), points);
+  });
+});
+
+test('findBindTarget picks the topmost shape under the point', () => {
+  const below = shape('below', 'rect', { x: 0, y: 0, width: 100, height: 100 });
+  const above = shape('above', 'ellipse', { x: 50, y: 50, width: 100, height: 100 });
+  const text = shape('text', 'text', { x: 0, y: 0, width: 200, height: 200 });
+  assert.equal(findBindTarget([below, above, text], { x: 75, y: 75 }), above);
+  assert.equal(findBindTarget([below, above, text], { x: 10, y: 10 }), below);
+  assert.equal(findBindTarget([below, above, text], { x: 190, y: 190 }), null);
+});
+
+test('lines are hit near any segment and bounded by their drawn points', () => {
+  const points = [0, 0, 100, 0, 100, 100];
+  assert.ok(hitPolyline(points, { x: 50, y: 3 }, 4));
+  assert.ok(hitPolyline(points, { x: 97, y: 50 }, 4));
+  assert.ok(!hitPolyline(points, { x: 50, y: 50 }, 4));
+
+  const box = shape('r', 'rect', { x: 200, y: 0, width: 100, height: 100 });
+  const bound = arrow([0, 50, 250, 50], { endBinding: { actionId: 'r' } });
+  assert.deepEqual(elementBounds(bound, finder(box)), { x: 0, y: 50, width: 200 - GAP, height: 0 });
+});
+
+const near = (actual, expected) =>
+  Object.entries(expected).forEach(([key, value]) => {
+    assert.ok(Math.abs(actual[key] - value) < 1e-9, `${key}: ${actual[key]} != ${value}`);
+  });
+
+test('rotatePoint turns about the center', () => {
+  near(rotatePoint({ x: 10, y: 0 }, { x: 0, y: 0 }, Math.PI / 2), { x: 0, y: 10 });
+  const point = { x: 3, y: 4 };
+  assert.equal(rotatePoint(point, { x: 0, y: 0 }, 0), point);
+});
+
+test('rotated boxes are hit in their own frame', () => {
+  const data = { x: 0, y: 40, width: 100, height: 20, angle: Math.PI / 2 };
+  assert.ok(boxHit(data, { x: 50, y: 5 }));
+  assert.ok(!boxHit(data, { x: 5, y: 50 }));
+  assert.ok(boxHit(data, { x: 42, y: 50 }, 0));
+  assert.ok(!boxHit(data, { x: 38, y: 50 }, 0));
+  assert.ok(boxHit(data, { x: 38, y: 50 }, 3));
+});
+
+test('rotated boxes are bounded by their turned corners', () => {
+  const action = shape('r', 'rect', { x: 0, y: 40, width: 100, height: 20, angle: Math.PI / 2 });
+  near(elementBounds(action, finder()), { x: 40, y: 0, width: 20, height: 100 });
+});
+
+test('rotateElement moves boxes about the center and keeps their angle', () => {
+  const data = { x: 0, y: 0, width: 20, height: 10, angle: Math.PI * 1.75 };
+  const rotated = rotateElement(data, { x: 0, y: 0 }, Math.PI / 2);
+  near(rotated, { x: -15, y: 5, width: 20, height: 10, angle: Math.PI / 4 });
+
+  const line = rotateElement({ points: [0, 0, 10, 0] }, { x: 0, y: 0 }, Math.PI);
+  near(line.points, [0, 0, -10, 0]);
+});
+
+test('a lone box keeps its rotation in the selection frame', () => {
+  const rotated = shape('r', 'rect', { x: 0, y: 0, width: 20, height: 10, angle: 1 });
+  assert.deepEqual(selectionFrame([rotated], finder()), {
+    box: { x: 0, y: 0, width: 20, height: 10 },
+    angle: 1
+  });
+  const path = shape('p', 'path', { points: [30, 30, 40, 50] });
+  const upright = { ...rotated, data: { ...rotated.data, angle: 0 } };
+  const frame = selectionFrame([upright, path], finder());
+  assert.deepEqual(frame, { box: { x: 0, y: 0, width: 40, height: 50 }, angle: 0 });
+});
+
+test('resizeBox keeps the opposite edge or corner in place', () => {
+  const box = { x: 0, y: 0, width: 100, height: 50 };
+  assert.deepEqual(resizeBox(box, 'se', 10, 20, {}), { x: 0, y: 0, width: 110, height: 70 });
+  assert.deepEqual(resizeBox(box, 'nw', 10, 20, {}), { x: 10, y: 20, width: 90, height: 30 });
+  assert.deepEqual(resizeBox(box, 'e', 10, 20, {}), { x: 0, y: 0, width: 110, height: 50 });
+  assert.deepEqual(resizeBox(box, 'n', 10, 60, { minSize: 5 }), {
+    x: 0,
+    y: 45,
+    width: 100,
+    height: 5
+  });
+});
+
+test('resizeBox can keep the aspect ratio and resize from the center', () => {
+  const box = { x: 0, y: 0, width: 100, height: 50 };
+  assert.deepEqual(resizeBox(box, 'se', 100, 0, { keepAspect: true }), {
+    x: 0,
+    y: 0,
+    width: 200,
+    height: 100
+  });
+  assert.deepEqual(resizeBox(box, 's', 0, 50, { keepAspect: true }), {
+    x: -50,
+    y: 0,
+    width: 200,
+    height: 100
+  });
+  assert.deepEqual(resizeBox(box, 'e', 10, 0, { fromCenter: true }), {
+    x: -10,
+    y: 0,
+    width: 120,
+    height: 50
+  });
+});
@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyLocalOp } from '../src/board.js';
+import {
+  commandUpdates,
+  createHistory,
+  editCommand,
+  lastCreation,
+  popCommand,
+  recordCommand
+} from '../src/history.js';
+
+const rect = (id, userId = 'u1', extra = {}) => ({
+  id,
+  type: 'rect',
+  userId,
+  undone: false,
+  data: { x: 0, y: 0, width: 10, height: 10 },
+  ...extra
+});
+
+const clear = (id, actionIds) => ({ id, type: 'clear', undone: false, data: { actionIds } });
+
+test('a new command clears what could be redone', () => {
+  const history = createHistory();
+  recordCommand(history, { type: 'create', actionIds: ['a'] });
+  history.redo.push({ type: 'create', actionIds: ['b'] });
+  recordCommand(history, { type: 'create', actionIds: ['c'] });
+  assert.deepEqual(history.undo.map(({ actionIds }) => actionIds[0]), ['a', 'c']);
+  assert.deepEqual(history.redo, []);
+});
+
+test('the history keeps the newest 200 commands', () => {
+  const history = createHistory();
+  for (let i = 0; i < 205; i += 1) recordCommand(history, { type: 'create', actionIds: [`${i}`] });
+  assert.equal(history.undo.length, 200);
+  assert.deepEqual(history.undo[0].actionIds, ['5']);
+});
+
+test('editCommand keeps before and after of changed elements only', () => {
+  const moved = { actionId: 'a', before: { x: 0 }, after: { x: 5 } };
+  const command = editCommand([moved, { actionId: 'b', before: { x: 1 }, after: { x: 1 } }]);
+  assert.deepEqual(command, { type: 'edit', updates: [moved] });
+  assert.equal(editCommand([{ actionId: 'b', before: { x: 1 }, after: { x: 1 } }]), null);
+  assert.equal(editCommand([{ actionId: 'c', before: undefined, after: { x: 1 } }]), null);
+});
+
+test('undoing an edit puts the previous data back and redoing reapplies it', () => {
+  const before = { x: 0, y: 0, width: 10, height: 10 };
+  const after = { x: 20, y: 0, width: 30, height: 10, strokeColor: '#f00' };
+  const command = editCommand([{ actionId: 'a', before, after }]);
+  const replay = (actions, direction) =>
+    commandUpdates(command, direction).reduce(
+      (next, update) =>
+        applyLocalOp(next, { event: 'update-action', payload: { ...update, replace: true } }),
+      actions
+    );
+  const edited = [rect('a', 'u1', { data: after })];
+  const undone = replay(edited, 'undo');
+  assert.deepEqual(undone[0].data, before);
+  assert.deepEqual(replay(undone, 'redo')[0].data, after);
+});
+
+test('popCommand skips commands whose elements are gone or cleared', () => {
+  const actions = [rect('a'), rect('b'), clear('c', ['b'])];
+  const stack = [
+    { type: 'create', actionIds: ['a'] },
+    { type: 'edit', updates: [{ actionId: 'b', before: {}, after: {} }] },
+    { type: 'create', actionIds: ['gone'] }
+  ];
+  assert.deepEqual(popCommand(stack, actions), { type: 'create', actionIds: ['a'] });
+  assert.deepEqual(stack, []);
+  assert.equal(popCommand(stack, actions), null);
+});
+
+test('an undone clear no longer blocks the commands under it', () => {
+  const actions = [rect('a'), { ...clear('c', ['a']), undone: true }];
+  const edit = { type: 'edit', updates: [{ actionId: 'a', before: {}, after: {} }] };
+  assert.equal(popCommand([edit], actions), edit);
+});
+
+test('lastCreation walks back our own visible elements newest first', () => {
+  const actions = [
+    rect('a'),
+    rect('b'),
+    rect('c', 'u2'),
+    rect('d', 'u1', { undone: true }),
+    rect('e'),
+    clear('x', ['e'])
+  ];
+  assert.deepEqual(lastCreation(actions, 'u1'), { type: 'create', actionIds: ['b'] });
+  assert.deepEqual(lastCreation(actions, 'u2'), { type: 'create', actionIds: ['c'] });
+  assert.equal(lastCreation(actions, 'u3'), null);
+});
@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SCENE_VERSION, SceneError, parseScene, serializeScene } from '../src/scene.js';
+import { parseElements, serializeElements } from '../src/clipboard.js';
+
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+
+const rect = { id: 'r1', type: 'rect', data: { x: 0, y: 0, width: 10, height: 10 } };
+const image = (id) => ({ id, type: 'image', data: { x: 0, y: 0, width: 5, height: 5, src: PNG } });
+const findAction = () => null;
+
+const sceneError = (text, message) =>
+  assert.throws(
+    () => parseScene(text),
+    (err) => err instanceof SceneError && message.test(err.message)
+  );
+
+test('a saved scene stores each picture once and opens again', () => {
+  const style = { strokeColor: '#123456' };
+  const text = serializeScene([rect, image('i1'), image('i2')], findAction, style);
+  const file = JSON.parse(text);
+  assert.equal(file.version, SCENE_VERSION);
+  assert.equal(Object.keys(file.assets).length, 1);
+  assert.equal(file.elements[1].data.src, undefined);
+  assert.equal(file.elements[1].data.assetId, file.elements[2].data.assetId);
+
+  const { elements, style: restored, skipped } = parseScene(text);
+  assert.deepEqual(elements, [rect, image('i1'), image('i2')]);
+  assert.deepEqual(restored, style);
+  assert.deepEqual(skipped, []);
+});
+
+test('version 1 files are migrated', () => {
+  const { elements, style } = parseScene(serializeElements([rect, image('i1')]));
+  assert.deepEqual(elements, [rect, image('i1')]);
+  assert.deepEqual(style, {});
+});
+
+test('unreadable scenes are refused with a reason', () => {
+  sceneError('{', /not valid JSON/);
+  sceneError('{"type":"other"}', /not a whiteboard scene/);
+  sceneError('{"type":"whiteboard/scene"}', /no valid format version/);
+  sceneError(`{"type":"whiteboard/scene","version":${SCENE_VERSION + 1}}`, /reads up to/);
+  sceneError(`{"type":"whiteboard/scene","version":${SCENE_VERSION},"elements":[]}`, /no elements/);
+  sceneError(`{"type":"whiteboard/elements","version":2,"elements":[]}`, /format version 2/);
+});
+
+test('malformed elements are listed, then counted', () => {
+  const bad = { id: 'p', type: 'path', data: { points: [0] } };
+  const text = JSON.stringify({
+    type: 'whiteboard/scene',
+    version: SCENE_VERSION,
+    elements: [
+      rect,
+      bad,
+      { type: 'diamond', data: {} },
+      null,
+      bad,
+      { ...image('i1'), data: { assetId: 'x' } }
+    ]
+  });
+  sceneError(
+    text,
+    /^The scene is malformed: element 2 has invalid points; element 3 has unknown type "diamond"; /
+  );
+  sceneError(text, /element 4 is not an object and 2 more\.$/);
+});
+
+test('parseElements drops malformed elements from clipboard text', () => {
+  const text = serializeElements([rect, { type: 'rect', data: { x: 'a' } }, null]);
+  assert.deepEqual(parseElements(text), [rect]);
+  assert.equal(parseElements(serializeElements([null])), null);
+  assert.equal(parseElements('plain text'), null);
+});
@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createSpatialIndex,
+  queryBox,
+  queryPoint,
+  updateSpatialIndex
+} from '../src/spatialIndex.js';
+
+const rect = (id, x, y, size = 10, extra = {}) => ({
+  id,
+  type: 'rect',
+  undone: false,
+  data: { x, y, width: size, height: size, strokeWidth: 1 },
+  ...extra
+});
+
+const ids = (actions) => actions.map(({ id }) => id);
+
+function indexOf(actions) {
+  const findAction = (id) => actions.find((action) => action.id === id) || null;
+  return updateSpatialIndex(createSpatialIndex(), actions, findAction);
+}
+
+test('queries only return elements near the area, in drawing order', () => {
+  const actions = [rect('far', 5000, 5000), rect('b', 100, 0), rect('a', 0, 0)];
+  const index = indexOf(actions);
+  assert.deepEqual(ids(queryBox(index, { x: -50, y: -50, width: 300, height: 100 })), ['b', 'a']);
+  assert.deepEqual(ids(queryPoint(index, { x: 5005, y: 5005 })), ['far']);
+  assert.deepEqual(ids(queryPoint(index, { x: 1000, y: 1000 }, 20)), []);
+});
+
+test('stroke padding keeps thick outlines hittable', () => {
+  const thick = rect('a', 0, 0);
+  thick.data.strokeWidth = 10;
+  const index = indexOf([thick]);
+  assert.deepEqual(ids(queryPoint(index, { x: 40, y: 5 })), ['a']);
+  assert.deepEqual(ids(queryPoint(index, { x: 60, y: 5 })), []);
+});
+
+test('undone and removed elements leave the index', () => {
+  const findAction = () => null;
+  const index = createSpatialIndex();
+  updateSpatialIndex(index, [rect('a', 0, 0), rect('b', 0, 0)], findAction);
+  updateSpatialIndex(index, [rect('a', 0, 0, 10, { undone: true })], findAction);
+  assert.deepEqual(ids(queryPoint(index, { x: 5, y: 5 })), []);
+  assert.equal(index.entries.size, 0);
+  assert.equal(index.cells.size, 0);
+});
+
+test('replaced actions are re-bucketed; unchanged ones are kept', () => {
+  const findAction = () => null;
+  const index = createSpatialIndex();
+  const still = rect('still', 0, 0);
+  updateSpatialIndex(index, [still, rect('moved', 0, 0)], findAction);
+  const entry = index.entries.get('still');
+  updateSpatialIndex(index, [rect('moved', 3000, 3000), still], findAction);
+  assert.equal(index.entries.get('still'), entry);
+  assert.deepEqual(ids(queryPoint(index, { x: 5, y: 5 })), ['still']);
+  assert.deepEqual(ids(queryPoint(index, { x: 3005, y: 3005 })), ['moved']);
+});
+
+test('arrows follow the shape they are bound to', () => {
+  let actions = [
+    rect('box', 0, 0, 100),
+    {
+      id: 'arrow',
+      type: 'arrow',
+      undone: false,
+      data: { points: [-300, 50, 50, 50], strokeWidth: 1, endBinding: { actionId: 'box' } }
+    }
+  ];
+  const index = createSpatialIndex();
+  const update = () =>
+    updateSpatialIndex(index, actions, (id) => actions.find((action) => action.id === id));
+  update();
+  actions = [rect('box', 2000, 0, 100), actions[1]];
+  update();
+  const alongTheArrow = { x: 1000, y: 50 };
+  assert.deepEqual(ids(queryPoint(index, alongTheArrow)), ['arrow']);
+});
+
+test('huge elements are found from anywhere they cover', () => {
+  const huge = rect('huge', -50000, -50000, 100000);
+  const index = indexOf([huge, rect('small', 0, 0)]);
+  assert.ok(index.oversized.has('huge'));
+  assert.deepEqual(ids(queryPoint(index, { x: 40000, y: 40000 })), ['huge']);
+  assert.deepEqual(ids(queryPoint(index, { x: 5, y: 5 })), ['huge', 'small']);
+});
+
+test('a query larger than the used cells still finds everything', () => {
+  const index = indexOf([rect('a', 0, 0), rect('b', 900, 900)]);
+  const everything = { x: -1e6, y: -1e6, width: 2e6, height: 2e6 };
+  assert.deepEqual(ids(queryBox(index, everything)), ['a', 'b']);
+});
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+// scrypt runs on the libuv thread pool so password checks don't block the
+// event loop for every other room.
+const scrypt = promisify(crypto.scrypt);
+
+// Room access lives in `room.meta.access` once someone protects a room:
+//   { editKey, viewKey, password: { salt, hash } | null }
+// Rooms without it stay open: anyone with the room id joins as an editor.
+// Protected rooms need one of the link keys (which picks the role) and, when
+// set, the room password.
+
+const ROLES = { EDITOR: 'editor', VIEWER: 'viewer' };
+
+function randomKey() {
+  return crypto.randomBytes(12).toString('base64url');
+}
+
+async function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = (await scrypt(password, salt, 32)).toString('hex');
+  return { salt, hash };
+}
+
+async function checkPassword(stored, password) {
+  if (typeof password !== 'string') return false;
+  const expected = Buffer.from(stored.hash, 'hex');
+  const actual = await scrypt(password, stored.salt, 32);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Resolves to the role for a join attempt: { role } or { error } where error
+// is 'invalid-link', 'password-required' or 'wrong-password'.
+async function resolveRole(access, { key, password }) {
+  if (!access) return { role: ROLES.EDITOR };
+  let role = null;
+  if (safeEqual(key, access.editKey)) role = ROLES.EDITOR;
+  else if (safeEqual(key, access.viewKey)) role = ROLES.VIEWER;
+  if (!role) return { error: 'invalid-link' };
+  if (access.password) {
+    if (!password) return { error: 'password-required' };
+    if (!(await checkPassword(access.password, password))) return { error: 'wrong-password' };
+  }
+  return { role };
+}
+
+// Resolves to the next access settings. Keys are kept unless `regenerate` is
+// set; an empty password removes the password.
+async function configureAccess(current, { password, regenerate = false } = {}) {
+  const next = {
+    editKey: current && !regenerate ? current.editKey : randomKey(),
+    viewKey: current && !regenerate ? current.viewKey : randomKey(),
+    password: current ? current.password : null
+  };
+  if (typeof password === 'string') {
+    next.password = password ? await hashPassword(password) : null;
+  }
+  return next;
+}
+
+// What a client may learn about access; link keys only go to editors.
+function describeAccess(access, role) {
+  if (!access) return { protected: false, hasPassword: false };
+  return {
+    protected: true,
+    hasPassword: Boolean(access.password),
+    ...(role === ROLES.EDITOR
+      ? { editKey: access.editKey, viewKey: access.viewKey }
+      : {})
+  };
+}
+
+module.exports = { ROLES, resolveRole, configureAccess, describeAccess };
@@ -4,126 +4,630 @@ const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
+const { createRoomStore } = require('./roomStore');
+const { createRetention } = require('./retention');
+const { createSessions } = require('./session');
+const {
+  ROLES,
+  resolveRole,
+  configureAccess,
+  describeAccess
+} = require('./access');
+const {
+  ValidationError,
+  readLimits,
+  sanitizeProfile,
+  validateNewAction,
+  validateActionData,
+  validateDeletion
+} = require('./validation');
 
 const app = express();
 app.use(cors());
 app.use(express.json());
 
+const limits = readLimits();
+// How many recent mutations each room keeps for incremental resync; clients
+// further behind than this get a full snapshot.
+const RESYNC_WINDOW = Number(process.env.RESYNC_WINDOW) || 1000;
+// Minimum gap between cursor updates relayed for one socket.
+const CURSOR_INTERVAL_MS = Number(process.env.CURSOR_INTERVAL_MS) || 40;
+// Wrong passwords one client address may send for a room within
+// PASSWORD_WINDOW_MS; further attempts are refused without checking them.
+const PASSWORD_ATTEMPTS = Number(process.env.PASSWORD_ATTEMPTS) || 5;
+const PASSWORD_WINDOW_MS = Number(process.env.PASSWORD_WINDOW_MS) || 60 * 1000;
+
 const server = http.createServer(app);
 const io = new Server(server, {
-  cors: { origin: '*' }
+  cors: { origin: '*' },
+  // Leave headroom over the largest accepted action so moderately oversized
+  // payloads get an `action-rejected`; anything past this drops the connection.
+  maxHttpBufferSize: limits.maxActionBytes * 2
 });
 
-// In-memory rooms: { roomId: { actions: [], clients: Set(socketId), users: Map(socketId -> userId) } }
+const store = createRoomStore();
+
+// Loaded rooms: { roomId: { actions: [], meta: {}, seq, recent: [], clients: Set(socketId), users: Map(socketId -> profile) } }
+// A profile is { userId, name, color } as sent in `participants`, `user-joined` and `user-left`.
+// `actions`, `meta` and `seq` are durable and written through to `store`; the rest is live session state.
+// `seq` numbers every board mutation; `recent` holds the last RESYNC_WINDOW of them as { seq, event, payload }.
+// `unsaved` is set once the room changes after being loaded.
 const rooms = {};
+// roomId -> Promise of the room while it is being read from the store
+const loadingRooms = new Map();
+const retention = createRetention({ rooms, store });
+const sessions = createSessions();
 
-function ensureRoom(roomId) {
+function ensureRoom(roomId, saved) {
   if (!rooms[roomId]) {
-    rooms[roomId] = { actions: [], clients: new Set(), users: new Map() };
+    rooms[roomId] = {
+      actions: saved?.actions || [],
+      meta: saved?.meta || {},
+      seq: saved?.seq || 0,
+      recent: [],
+      clients: new Set(),
+      users: new Map()
+    };
   }
   return rooms[roomId];
 }
 
+// Lazily reads a room from the store the first time someone joins it.
+function loadRoom(roomId) {
+  if (rooms[roomId]) return Promise.resolve(rooms[roomId]);
+  if (!loadingRooms.has(roomId)) {
+    const pending = store
+      .load(roomId)
+      .then((saved) => ensureRoom(roomId, saved))
+      .finally(() => loadingRooms.delete(roomId));
+    loadingRooms.set(roomId, pending);
+  }
+  return loadingRooms.get(roomId);
+}
+
+function rejectAction(socket, actionId, err, extra = {}) {
+  if (!(err instanceof ValidationError)) throw err;
+  socket.emit('action-rejected', {
+    actionId,
+    reason: err.reason,
+    field: err.field,
+    message: err.message,
+    ...extra
+  });
+}
+
+const editorsChannel = (roomId) => `${roomId}:editors`;
+
+// Why `socket` may not change the board right now, or null when it may.
+function editBlocked(socket, room) {
+  if (socket.role !== ROLES.EDITOR) return 'read-only';
+  if (room.meta.locked && room.meta.owner !== socket.userId) return 'locked';
+  return null;
+}
+
+// Moderation events are reserved for the room owner.
+function requireOwner(socket, room, event) {
+  if (room.meta.owner === socket.userId) return true;
+  socket.emit('moderation-denied', { event, reason: 'not-owner' });
+  return false;
+}
+
+function updateMeta(roomId, meta) {
+  const room = rooms[roomId];
+  room.meta = { ...room.meta, ...meta };
+  persist(roomId, { type: 'meta', meta });
+}
+
+// Recent wrong passwords, keyed by room and client address so a new
+// connection doesn't start over: key -> [timestamps].
+const passwordFailures = new Map();
+const failureKey = (socket, roomId) => `${roomId} ${socket.handshake.address}`;
+
+function recentFailures(key) {
+  const since = Date.now() - PASSWORD_WINDOW_MS;
+  const recent = (passwordFailures.get(key) || []).filter((at) => at > since);
+  if (recent.length) passwordFailures.set(key, recent);
+  else passwordFailures.delete(key);
+  return recent;
+}
+
+// Whether this address has used up its password attempts for the room.
+function passwordThrottled(key) {
+  return recentFailures(key).length >= PASSWORD_ATTEMPTS;
+}
+
+function recordPasswordFailure(key) {
+  passwordFailures.set(key, [...recentFailures(key), Date.now()]);
+  // Expire the entry even if the address never tries again.
+  const timer = setTimeout(() => recentFailures(key), PASSWORD_WINDOW_MS + 1);
+  timer.unref?.();
+}
+
+// Resolves to { role } or { error } for `socket` joining `room`. The owner
+// always gets in as an editor; kicked users never do.
+async function admit(socket, roomId, room, { key, password }) {
+  if (room.meta.kicked?.includes(socket.userId)) return { error: 'kicked' };
+  if (room.meta.owner === socket.userId) return { role: ROLES.EDITOR };
+  const failures = failureKey(socket, roomId);
+  if (password && passwordThrottled(failures)) return { error: 'too-many-attempts' };
+  const outcome = await resolveRole(room.meta.access, { key, password });
+  if (outcome.error === 'wrong-password') recordPasswordFailure(failures);
+  return outcome;
+}
+
+function describeModeration(room) {
+  return { owner: room.meta.owner || null, locked: Boolean(room.meta.locked) };
+}
+
+function socketsOf(room, userId) {
+  return Array.from(room.users)
+    .filter(([, profile]) => profile.userId === userId)
+    .map(([socketId]) => io.sockets.sockets.get(socketId))
+    .filter(Boolean);
+}
+
+// Numbers a board mutation, persists it and keeps it for resync. Returns the
+// sequence number, which is sent as the second argument of the broadcast.
+function commit(roomId, entry, event, payload) {
+  const room = rooms[roomId];
+  room.seq += 1;
+  const { seq } = room;
+  room.recent.push({ seq, event, payload });
+  if (room.recent.length > RESYNC_WINDOW) room.recent.shift();
+  persist(roomId, { ...entry, seq });
+  return seq;
+}
+
+// Events a client that last saw `lastSeq` is missing, or null when only a
+// full snapshot can catch it up.
+function missedEvents(room, lastSeq) {
+  if (!Number.isInteger(lastSeq) || lastSeq < 0 || lastSeq > room.seq) return null;
+  if (lastSeq === room.seq) return [];
+  const oldest = room.recent.length ? room.recent[0].seq : room.seq + 1;
+  if (lastSeq + 1 < oldest) return null;
+  return room.recent.filter((item) => item.seq > lastSeq);
+}
+
+// Marks the room as changed since it was loaded, so eviction writes a fresh
+// snapshot for it.
+function persist(roomId, entry) {
+  rooms[roomId].unsaved = true;
+  store.append(roomId, entry).catch((err) => {
+    console.error(`Failed to persist ${entry.type} for room ${roomId}:`, err);
+  });
+}
+
 io.on('connection', (socket) => {
   console.log('socket connected', socket.id);
 
-  socket.on('join-room', ({ roomId, userId }) => {
+  // Every handler runs through this guard: a payload that trips up a handler
+  // is logged and dropped instead of taking down the process (socket.io calls
+  // listeners outside any try/catch of ours).
+  const on = (event, handler) => {
+    const report = (err) => console.error(`Failed to handle ${event} from ${socket.id}:`, err);
+    socket.on(event, (...args) => {
+      try {
+        Promise.resolve(handler(...args)).catch(report);
+      } catch (err) {
+        report(err);
+      }
+    });
+  };
+
+  // Board mutations are acknowledged once handled (accepted or rejected) so
+  // the client outbox can drop them. Events arriving before the socket has
+  // joined a room are not acknowledged; the client resends them after joining.
+  const onMutation = (event, handler) => {
+    on(event, (payload, ack) => {
+      if (!rooms[socket.roomId]) return;
+      handler(payload || {});
+      if (typeof ack === 'function') ack();
+    });
+  };
+
+  // Identity comes only from a server-signed token; a missing or forged token
+  // gets a fresh user id. Every later ownership check uses `socket.userId`.
+  on('join-room', async (payload) => {
+    let { roomId, token } = payload || {};
+    const { key, password, lastSeq, profile } = payload || {};
     if (!roomId) {
       roomId = uuidv4();
     }
+    let userId = sessions.verify(token);
+    if (!userId) {
+      ({ userId, token } = sessions.issue());
+    }
+    socket.userId = userId;
+    socket.emit('session', { userId, token });
+
+    // An empty room can be evicted while the password is checked; the join
+    // is then decided again against the reloaded room.
+    let room;
+    let outcome;
+    do {
+      try {
+        room = await loadRoom(roomId);
+      } catch (err) {
+        console.error(`Failed to load room ${roomId}:`, err);
+        socket.emit('room-error', { roomId, reason: 'load-failed' });
+        return;
+      }
+      outcome = await admit(socket, roomId, room, { key, password });
+    } while (!outcome.error && socket.connected && rooms[roomId] !== room);
+    const { role, error } = outcome;
+    if (!socket.connected || error) {
+      if (error) socket.emit('join-denied', { roomId, reason: error });
+      if (room.clients.size === 0) retention.roomEmptied(roomId);
+      return;
+    }
+
+    retention.roomJoined(roomId);
     socket.join(roomId);
+    if (role === ROLES.EDITOR) socket.join(editorsChannel(roomId));
     socket.roomId = roomId;
-    socket.userId = userId;
+    socket.role = role;
+    if (!room.meta.owner && role === ROLES.EDITOR) {
+      // First editor in (usually the creator) owns the room.
+      updateMeta(roomId, { owner: userId });
+    }
 
-    const room = ensureRoom(roomId);
     room.clients.add(socket.id);
-    if (userId) {
-      room.users.set(socket.id, userId);
-    }
+    const joined = sanitizeProfile(profile, userId);
+    room.users.set(socket.id, joined);
 
-    // Send current room state plus currently known participants
+    // Send current room state plus currently known participants. A client
+    // rejoining with `lastSeq` only gets what it missed when we still have it.
+    const events = missedEvents(room, lastSeq);
     socket.emit('room-state', {
       roomId,
-      actions: room.actions,
-      participants: Array.from(room.users.values())
+      seq: room.seq,
+      ...(events ? { events } : { actions: room.actions }),
+      participants: Array.from(room.users.values()),
+      role,
+      access: describeAccess(room.meta.access, role),
+      ...describeModeration(room)
     });
 
     // Notify other clients in the room
-    socket.to(roomId).emit('user-joined', { userId });
+    socket.to(roomId).emit('user-joined', { userId, profile: joined });
 
     console.log(`socket ${socket.id} joined ${roomId}`);
   });
 
-  socket.on('add-action', (action) => {
-    const room = ensureRoom(socket.roomId);
+  onMutation('add-action', (payload) => {
+    const room = rooms[socket.roomId];
     if (!room) return;
+    const blocked = editBlocked(socket, room);
+    if (blocked) {
+      rejectAction(socket, payload?.id, new ValidationError(blocked, 'you cannot draw in this room'));
+      return;
+    }
+    // A resend of our own action (its ack was lost in a disconnect) is a no-op.
+    const existing = room.actions.find((a) => a.id === payload.id);
+    if (existing && existing.userId === socket.userId) return;
+    try {
+      validateNewAction(payload, room, limits);
+    } catch (err) {
+      rejectAction(socket, payload?.id, err);
+      return;
+    }
+    // Rebuild the action so only known top-level fields are stored.
+    const action = {
+      id: payload.id,
+      type: payload.type,
+      userId: socket.userId,
+      timestamp: payload.timestamp ?? Date.now(),
+      undone: false,
+      data: payload.data
+    };
     room.actions.push(action);
-    socket.to(socket.roomId).emit('action-added', action);
+    const seq = commit(socket.roomId, { type: 'add', action }, 'action-added', { ...action });
+    socket.emit('action-ack', { actionId: action.id }, seq);
+    socket.to(socket.roomId).emit('action-added', action, seq);
   });
 
-  socket.on('update-action', ({ actionId, data, replace, userId }) => {
-    const room = ensureRoom(socket.roomId);
+  // Deleting adds a `delete` action hiding the elements, like a board clear,
+  // so the deleter can bring them back with undo. Editors delete their own
+  // elements; the room owner can delete anyone's.
+  onMutation('delete-action', (payload) => {
+    const room = rooms[socket.roomId];
+    if (!room) return;
+    const blocked = editBlocked(socket, room);
+    if (blocked) {
+      rejectAction(socket, payload?.id, new ValidationError(blocked, 'you cannot delete in this room'));
+      return;
+    }
+    const existing = room.actions.find((a) => a.id === payload.id);
+    if (existing && existing.userId === socket.userId) return;
+    let targets;
+    try {
+      targets = validateDeletion(payload, room, limits);
+    } catch (err) {
+      rejectAction(socket, payload?.id, err);
+      return;
+    }
+    if (
+      room.meta.owner !== socket.userId &&
+      targets.some((target) => target.userId !== socket.userId)
+    ) {
+      rejectAction(
+        socket,
+        payload.id,
+        new ValidationError('not-owner', 'you can only delete your own elements', 'actionIds')
+      );
+      return;
+    }
+    const action = {
+      id: payload.id,
+      type: 'delete',
+      userId: socket.userId,
+      timestamp: Date.now(),
+      undone: false,
+      data: { actionIds: targets.map((target) => target.id) }
+    };
+    room.actions.push(action);
+    const seq = commit(socket.roomId, { type: 'add', action }, 'action-added', { ...action });
+    socket.emit('action-ack', { actionId: action.id }, seq);
+    socket.to(socket.roomId).emit('action-added', action, seq);
+  });
+
+  onMutation('update-action', ({ actionId, data, replace }) => {
+    const room = rooms[socket.roomId];
     if (!room) return;
     const idx = room.actions.findIndex(a => a.id === actionId);
     if (idx === -1) return;
     const action = room.actions[idx];
-    if (action.userId !== userId) {
+    const blocked = editBlocked(socket, room);
+    if (blocked) {
+      rejectAction(socket, actionId, new ValidationError(blocked, 'you cannot edit in this room'), {
+        data: action.data
+      });
+      return;
+    }
+    if (action.userId !== socket.userId) {
       socket.emit('update-denied', { actionId, reason: 'not-owner' });
       return;
     }
-    action.data = replace ? data : { ...action.data, ...data };
-    io.to(socket.roomId).emit('action-updated', { actionId, data: action.data });
+    const nextData = replace ? data : { ...action.data, ...data };
+    try {
+      validateActionData(action.type, nextData, limits);
+    } catch (err) {
+      // Hand back the stored data so the sender can roll back its optimistic edit.
+      rejectAction(socket, actionId, err, { data: action.data });
+      return;
+    }
+    action.data = nextData;
+    const payload = { actionId, data: action.data };
+    const seq = commit(socket.roomId, { type: 'update', actionId, data: action.data }, 'action-updated', payload);
+    io.to(socket.roomId).emit('action-updated', payload, seq);
   });
 
-  socket.on('undo-action', ({ actionId, userId }) => {
-    const room = ensureRoom(socket.roomId);
+  // Several elements changed together (a multi-selection move, grouping) as
+  // one sequenced change. Either every update applies or none does.
+  onMutation('update-actions', ({ updates }) => {
+    const room = rooms[socket.roomId];
+    if (!room || !Array.isArray(updates) || updates.length === 0) return;
+    const isUpdate = (update) => update && typeof update === 'object' && !Array.isArray(update);
+    if (!updates.every(isUpdate)) {
+      rejectAction(socket, null, new ValidationError('invalid-payload', 'updates must be objects'));
+      return;
+    }
+    const targets = updates.map(({ actionId }) => room.actions.find(a => a.id === actionId));
+    const rejectAll = (err) => {
+      targets.forEach((action) => {
+        if (action) rejectAction(socket, action.id, err, { data: action.data });
+      });
+    };
+    const blocked = editBlocked(socket, room);
+    if (blocked) {
+      rejectAll(new ValidationError(blocked, 'you cannot edit in this room'));
+      return;
+    }
+    if (targets.some((action) => !action || action.userId !== socket.userId)) {
+      rejectAll(new ValidationError('not-owner', 'you can only edit your own elements'));
+      return;
+    }
+    let applied;
+    try {
+      applied = updates.map(({ data, replace }, i) => {
+        const action = targets[i];
+        const nextData = replace ? data : { ...action.data, ...data };
+        validateActionData(action.type, nextData, limits);
+        return { actionId: action.id, data: nextData };
+      });
+    } catch (err) {
+      rejectAll(err);
+      return;
+    }
+    applied.forEach(({ data }, i) => {
+      targets[i].data = data;
+    });
+    const payload = { updates: applied };
+    const seq = commit(socket.roomId, { type: 'update-many', updates: applied }, 'actions-updated', payload);
+    io.to(socket.roomId).emit('actions-updated', payload, seq);
+  });
+
+  onMutation('undo-action', ({ actionId }) => {
+    const room = rooms[socket.roomId];
     if (!room) return;
     const idx = room.actions.findIndex(a => a.id === actionId);
     if (idx === -1) return;
     const action = room.actions[idx];
-    if (action.userId !== userId) {
+    const blocked = editBlocked(socket, room);
+    if (blocked) {
+      socket.emit('undo-denied', { actionId, reason: blocked });
+      return;
+    }
+    if (action.userId !== socket.userId) {
       socket.emit('undo-denied', { actionId, reason: 'not-owner' });
       return;
     }
     action.undone = true;
-    io.to(socket.roomId).emit('action-undone', { actionId, userId });
+    const payload = { actionId, userId: socket.userId };
+    const seq = commit(socket.roomId, { type: 'undo', actionId }, 'action-undone', payload);
+    io.to(socket.roomId).emit('action-undone', payload, seq);
   });
 
-  socket.on('redo-action', ({ actionId, userId }) => {
-    const room = ensureRoom(socket.roomId);
+  onMutation('redo-action', ({ actionId }) => {
+    const room = rooms[socket.roomId];
     if (!room) return;
     const idx = room.actions.findIndex(a => a.id === actionId);
     if (idx === -1) return;
     const action = room.actions[idx];
-    if (action.userId !== userId) {
+    const blocked = editBlocked(socket, room);
+    if (blocked) {
+      socket.emit('redo-denied', { actionId, reason: blocked });
+      return;
+    }
+    if (action.userId !== socket.userId) {
       socket.emit('redo-denied', { actionId, reason: 'not-owner' });
       return;
     }
     action.undone = false;
-    io.to(socket.roomId).emit('action-redone', { actionId, userId });
+    const payload = { actionId, userId: socket.userId };
+    const seq = commit(socket.roomId, { type: 'redo', actionId }, 'action-redone', payload);
+    io.to(socket.roomId).emit('action-redone', payload, seq);
+  });
+
+  // The owner can protect the room (creating edit/view-only link keys) and
+  // set or clear its password. Editors are told the new links; connected
+  // viewers keep their session.
+  on('configure-access', async (payload) => {
+    const { password, regenerate } = payload || {};
+    const room = rooms[socket.roomId];
+    if (!room || !requireOwner(socket, room, 'configure-access')) return;
+    if (password !== undefined && typeof password !== 'string') return;
+    const access = await configureAccess(room.meta.access, { password, regenerate });
+    if (rooms[socket.roomId] !== room) return;
+    room.meta = { ...room.meta, access };
+    persist(socket.roomId, { type: 'meta', meta: { access } });
+    io.to(editorsChannel(socket.roomId)).emit(
+      'access-updated',
+      describeAccess(access, ROLES.EDITOR)
+    );
+  });
+
+  // Clearing is one owner action listing every visible element it hides, so
+  // the owner's ordinary undo/redo brings the board back or clears it again.
+  on('clear-board', () => {
+    const room = rooms[socket.roomId];
+    if (!room || !requireOwner(socket, room, 'clear-board')) return;
+    const actionIds = room.actions
+      .filter((a) => !a.undone && a.type !== 'clear' && a.type !== 'delete')
+      .map((a) => a.id);
+    if (actionIds.length === 0) return;
+    const action = {
+      id: uuidv4(),
+      type: 'clear',
+      userId: socket.userId,
+      timestamp: Date.now(),
+      undone: false,
+      data: { actionIds }
+    };
+    room.actions.push(action);
+    const seq = commit(socket.roomId, { type: 'add', action }, 'action-added', { ...action });
+    io.to(socket.roomId).emit('action-added', action, seq);
+  });
+
+  on('lock-room', (payload) => {
+    const { locked } = payload || {};
+    const room = rooms[socket.roomId];
+    if (!room || !requireOwner(socket, room, 'lock-room')) return;
+    updateMeta(socket.roomId, { locked: Boolean(locked) });
+    io.to(socket.roomId).emit('room-updated', describeModeration(room));
+  });
+
+  // Kicked users are disconnected and their session is kept out of this room.
+  // It's a soft kick: a fresh session (cleared localStorage) gets back in
+  // unless the room has a password the user doesn't know.
+  on('kick-user', (payload) => {
+    const { userId } = payload || {};
+    const room = rooms[socket.roomId];
+    if (!room || !requireOwner(socket, room, 'kick-user')) return;
+    if (!userId || userId === socket.userId) return;
+    const kicked = new Set(room.meta.kicked || []);
+    kicked.add(userId);
+    updateMeta(socket.roomId, { kicked: Array.from(kicked) });
+    socketsOf(room, userId).forEach((target) => {
+      target.emit('kicked', { roomId: socket.roomId });
+      target.disconnect(true);
+    });
+    console.log(`user ${userId} kicked from ${socket.roomId} by ${socket.userId}`);
+  });
+
+  on('transfer-ownership', (payload) => {
+    const { userId } = payload || {};
+    const room = rooms[socket.roomId];
+    if (!room || !requireOwner(socket, room, 'transfer-ownership')) return;
+    const targets = socketsOf(room, userId);
+    if (targets.length === 0) {
+      socket.emit('moderation-denied', { event: 'transfer-ownership', reason: 'not-in-room' });
+      return;
+    }
+    updateMeta(socket.roomId, { owner: userId });
+    // An owner who came in through a view-only link becomes an editor.
+    targets
+      .filter((target) => target.role !== ROLES.EDITOR)
+      .forEach((target) => {
+        target.role = ROLES.EDITOR;
+        target.join(editorsChannel(socket.roomId));
+        target.emit('role-changed', {
+          role: ROLES.EDITOR,
+          access: describeAccess(room.meta.access, ROLES.EDITOR)
+        });
+      });
+    io.to(socket.roomId).emit('room-updated', describeModeration(room));
+  });
+
+  on('update-profile', (profile) => {
+    const room = rooms[socket.roomId];
+    if (!room || !room.users.has(socket.id)) return;
+    const next = sanitizeProfile(profile, socket.userId);
+    room.users.set(socket.id, next);
+    io.to(socket.roomId).emit('profile-updated', { userId: socket.userId, profile: next });
+  });
+
+  // Presence only: cursors are relayed (throttled, droppable) and never stored.
+  on('cursor-move', (payload) => {
+    const { x, y } = payload || {};
+    if (!rooms[socket.roomId]) return;
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return;
+    const now = Date.now();
+    if (now - (socket.lastCursorAt || 0) < CURSOR_INTERVAL_MS) return;
+    socket.lastCursorAt = now;
+    socket.to(socket.roomId).volatile.emit('cursor-moved', { userId: socket.userId, x, y });
   });
 
-  socket.on('disconnect', () => {
+  on('cursor-leave', () => {
+    if (!rooms[socket.roomId]) return;
+    socket.to(socket.roomId).emit('cursor-left', { userId: socket.userId });
+  });
+
+  on('disconnect', () => {
     const roomId = socket.roomId;
     if (!roomId) return;
     const room = rooms[roomId];
     if (!room) return;
     room.clients.delete(socket.id);
     if (room.users.has(socket.id)) {
-      const userId = room.users.get(socket.id);
+      const profile = room.users.get(socket.id);
       room.users.delete(socket.id);
-      socket.to(roomId).emit('user-left', { userId });
+      socket.to(roomId).emit('user-left', { userId: profile.userId, profile });
     }
     console.log(`socket ${socket.id} disconnected from ${roomId}`);
 
     if (room.clients.size === 0) {
       console.log(`room ${roomId} now has 0 clients`);
+      retention.roomEmptied(roomId);
     }
   });
 });
 
 const PORT = process.env.PORT || 4000;
-server.listen(PORT, () => console.log('Server listening on', PORT));
+server.listen(PORT, () => {
+  console.log('Server listening on', PORT);
+  retention.start();
+});
 
 server.on('error', (err) => {
   if (err.code === 'EADDRINUSE') {
@@ -137,3 +641,15 @@ server.on('error', (err) => {
   }
 });
 
+// Let queued room writes land before the process goes away (e.g. on deploy).
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+  process.on(signal, () => {
+    console.log(`Received ${signal}, flushing room store...`);
+    retention.stop();
+    store
+      .flush()
+      .catch((err) => console.error('Failed to flush room store:', err))
+      .finally(() => process.exit(0));
+  });
+});
+
@@ -0,0 +1,133 @@
+const { now } = require('./utils');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+function readNumber(env, name, fallback) {
+  const raw = env[name];
+  if (raw === undefined || raw === '') return fallback;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative number, got "${raw}"`);
+  }
+  return value;
+}
+
+// ROOM_IDLE_TIMEOUT_MS: how long an empty room stays in memory (default 5 min).
+// ROOM_RETENTION_DAYS: stored rooms untouched for this long are deleted (default 30, 0 keeps forever).
+// ROOM_SWEEP_INTERVAL_MS: how often stored rooms are checked for expiry (default 1 hour).
+function readRetentionConfig(env = process.env) {
+  return {
+    idleTimeoutMs: readNumber(env, 'ROOM_IDLE_TIMEOUT_MS', 5 * MINUTE),
+    retentionMs: readNumber(env, 'ROOM_RETENTION_DAYS', 30) * DAY,
+    sweepIntervalMs: readNumber(env, 'ROOM_SWEEP_INTERVAL_MS', 60 * MINUTE)
+  };
+}
+
+// Nothing but the automatic owner: no elements, password, lock or kicks.
+function isBlank(room) {
+  return (
+    room.actions.length === 0 && Object.keys(room.meta).every((key) => key === 'owner')
+  );
+}
+
+function audit(message) {
+  console.log(`[retention ${now()}] ${message}`);
+}
+
+// Evicts empty rooms from `rooms` after an idle timeout (flushing them to
+// `store` first) and periodically deletes stored rooms past retention.
+function createRetention({ rooms, store, config = readRetentionConfig() }) {
+  const idleTimers = new Map();
+  let sweepTimer = null;
+
+  function cancelEviction(roomId) {
+    const timer = idleTimers.get(roomId);
+    if (timer) {
+      clearTimeout(timer);
+      idleTimers.delete(roomId);
+    }
+  }
+
+  // Writes the room's snapshot, folding in its log, only when it changed
+  // while loaded; a visit alone leaves the stored room (and its mtime, which
+  // retention goes by) alone. A room nobody drew in or configured is not kept.
+  async function flushRoom(roomId, room) {
+    if (isBlank(room)) {
+      await store.remove(roomId);
+    } else if (room.unsaved) {
+      await store.save(roomId, { actions: room.actions, meta: room.meta, seq: room.seq });
+      room.unsaved = false;
+    }
+  }
+
+  async function evict(roomId) {
+    idleTimers.delete(roomId);
+    const room = rooms[roomId];
+    if (!room || room.clients.size > 0) return;
+    try {
+      await flushRoom(roomId, room);
+    } catch (err) {
+      console.error(`Failed to flush room ${roomId} before eviction:`, err);
+      return;
+    }
+    // Someone may have joined while the snapshot was being written; a blank
+    // room removed meanwhile needs writing out in full next time.
+    if (rooms[roomId] !== room || room.clients.size > 0) {
+      if (isBlank(room)) room.unsaved = true;
+      return;
+    }
+    delete rooms[roomId];
+    audit(`evicted idle room ${roomId} (${room.actions.length} actions)`);
+  }
+
+  function roomEmptied(roomId) {
+    cancelEviction(roomId);
+    const timer = setTimeout(() => evict(roomId), config.idleTimeoutMs);
+    timer.unref?.();
+    idleTimers.set(roomId, timer);
+  }
+
+  async function sweep() {
+    if (!config.retentionMs) return;
+    const cutoff = Date.now() - config.retentionMs;
+    let stored;
+    try {
+      stored = await store.list();
+    } catch (err) {
+      console.error('Failed to list rooms for retention sweep:', err);
+      return;
+    }
+    for (const { roomId, updatedAt } of stored) {
+      if (updatedAt >= cutoff) continue;
+      const room = rooms[roomId];
+      if (room && room.clients.size > 0) continue;
+      cancelEviction(roomId);
+      delete rooms[roomId];
+      try {
+        await store.remove(roomId);
+        audit(`deleted room ${roomId} (last modified ${new Date(updatedAt).toISOString()})`);
+      } catch (err) {
+        console.error(`Failed to delete expired room ${roomId}:`, err);
+      }
+    }
+  }
+
+  function start() {
+    sweep();
+    if (config.retentionMs && config.sweepIntervalMs) {
+      sweepTimer = setInterval(sweep, config.sweepIntervalMs);
+      sweepTimer.unref?.();
+    }
+  }
+
+  function stop() {
+    clearInterval(sweepTimer);
+    idleTimers.forEach((timer) => clearTimeout(timer));
+    idleTimers.clear();
+  }
+
+  return { roomEmptied, roomJoined: cancelEviction, sweep, start, stop, config };
+}
+
+module.exports = { createRetention, readRetentionConfig };
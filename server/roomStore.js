@@ -0,0 +1,281 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+// Room stores persist the durable part of a room (actions, meta and the last
+// sequence number) so boards survive restarts. Every mutation is written
+// through as a small log entry; board mutations also carry their `seq`:
+//   { type: 'add', action }
+//   { type: 'update', actionId, data }
+//   { type: 'update-many', updates: [{ actionId, data }] }
+//   { type: 'undo' | 'redo', actionId }
+//   { type: 'meta', meta }
+// `applyEntry` replays an entry onto a room snapshot and is shared by every
+// backend so they all agree on what an entry means.
+
+function emptyState() {
+  return { actions: [], meta: {}, seq: 0 };
+}
+
+function applyEntry(state, entry) {
+  switch (entry.type) {
+    case 'add':
+      if (!state.actions.some(a => a.id === entry.action.id)) {
+        state.actions.push(entry.action);
+      }
+      break;
+    case 'update': {
+      const action = state.actions.find(a => a.id === entry.actionId);
+      if (action) action.data = entry.data;
+      break;
+    }
+    case 'update-many':
+      entry.updates.forEach(({ actionId, data }) => {
+        const action = state.actions.find(a => a.id === actionId);
+        if (action) action.data = data;
+      });
+      break;
+    case 'undo':
+    case 'redo': {
+      const action = state.actions.find(a => a.id === entry.actionId);
+      if (action) action.undone = entry.type === 'undo';
+      break;
+    }
+    case 'meta':
+      state.meta = { ...state.meta, ...entry.meta };
+      break;
+    default:
+      break;
+  }
+  if (entry.seq) state.seq = entry.seq;
+  return state;
+}
+
+// Base class documenting the contract. All methods return promises.
+class RoomStore {
+  // Resolves to { actions, meta, seq } or null when the room was never stored.
+  async load(roomId) {
+    throw new Error('RoomStore.load not implemented');
+  }
+
+  async append(roomId, entry) {
+    throw new Error('RoomStore.append not implemented');
+  }
+
+  // Replaces whatever is stored for the room with a full snapshot.
+  async save(roomId, state) {
+    throw new Error('RoomStore.save not implemented');
+  }
+
+  async remove(roomId) {
+    throw new Error('RoomStore.remove not implemented');
+  }
+
+  // Resolves to [{ roomId, updatedAt }] for every stored room (updatedAt in ms).
+  async list() {
+    throw new Error('RoomStore.list not implemented');
+  }
+
+  // Waits for pending writes; called on shutdown.
+  async flush() {}
+}
+
+class MemoryRoomStore extends RoomStore {
+  constructor() {
+    super();
+    this.rooms = new Map();
+    this.updatedAt = new Map();
+  }
+
+  async load(roomId) {
+    const state = this.rooms.get(roomId);
+    return state ? JSON.parse(JSON.stringify(state)) : null;
+  }
+
+  async append(roomId, entry) {
+    const state = this.rooms.get(roomId) || emptyState();
+    applyEntry(state, JSON.parse(JSON.stringify(entry)));
+    this.rooms.set(roomId, state);
+    this.updatedAt.set(roomId, Date.now());
+  }
+
+  async save(roomId, state) {
+    this.rooms.set(roomId, JSON.parse(JSON.stringify(state)));
+    this.updatedAt.set(roomId, Date.now());
+  }
+
+  async remove(roomId) {
+    this.rooms.delete(roomId);
+    this.updatedAt.delete(roomId);
+  }
+
+  async list() {
+    return Array.from(this.updatedAt, ([roomId, updatedAt]) => ({ roomId, updatedAt }));
+  }
+}
+
+// File backend: <dir>/<roomId>.json holds the last snapshot and
+// <dir>/<roomId>.log is an append-only JSON-lines log written after it.
+// Once the log grows past `compactAfter` entries it is folded into the
+// snapshot. Writes for a room are serialized through a promise chain.
+class FileRoomStore extends RoomStore {
+  constructor({ dir, compactAfter = 500 } = {}) {
+    super();
+    this.dir = dir;
+    this.compactAfter = compactAfter;
+    this.queues = new Map();
+    this.logLengths = new Map();
+  }
+
+  paths(roomId) {
+    const name = encodeURIComponent(roomId);
+    return {
+      snapshot: path.join(this.dir, `${name}.json`),
+      log: path.join(this.dir, `${name}.log`)
+    };
+  }
+
+  enqueue(roomId, task) {
+    const previous = this.queues.get(roomId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    this.queues.set(roomId, next);
+    next.finally(() => {
+      if (this.queues.get(roomId) === next) this.queues.delete(roomId);
+    }).catch(() => {});
+    return next;
+  }
+
+  async read(roomId) {
+    const { snapshot, log } = this.paths(roomId);
+    const [snapshotText, logText] = await Promise.all([
+      readIfExists(snapshot),
+      readIfExists(log)
+    ]);
+    if (snapshotText === null && logText === null) {
+      this.logLengths.set(roomId, 0);
+      return null;
+    }
+    const state = snapshotText ? { ...emptyState(), ...JSON.parse(snapshotText) } : emptyState();
+    const lines = (logText || '').split('\n').filter(Boolean);
+    lines.forEach((line) => {
+      try {
+        applyEntry(state, JSON.parse(line));
+      } catch (err) {
+        // A torn final line from a crash mid-write; everything before it is intact.
+        console.error(`Skipping corrupt log entry for room ${roomId}`);
+      }
+    });
+    this.logLengths.set(roomId, lines.length);
+    return state;
+  }
+
+  async writeSnapshot(roomId, state) {
+    const { snapshot, log } = this.paths(roomId);
+    await fsp.mkdir(this.dir, { recursive: true });
+    const tmp = `${snapshot}.tmp`;
+    await fsp.writeFile(tmp, JSON.stringify({ actions: state.actions, meta: state.meta, seq: state.seq }));
+    await fsp.rename(tmp, snapshot);
+    await fsp.rm(log, { force: true });
+    this.logLengths.set(roomId, 0);
+  }
+
+  load(roomId) {
+    return this.enqueue(roomId, () => this.read(roomId));
+  }
+
+  // The entry is serialized right away: it may hold live room objects that
+  // change before the queued write runs.
+  append(roomId, entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    return this.enqueue(roomId, async () => {
+      const { log } = this.paths(roomId);
+      await fsp.mkdir(this.dir, { recursive: true });
+      await fsp.appendFile(log, line);
+      const length = (this.logLengths.get(roomId) || 0) + 1;
+      this.logLengths.set(roomId, length);
+      if (length >= this.compactAfter) {
+        const state = await this.read(roomId);
+        if (state) await this.writeSnapshot(roomId, state);
+      }
+    });
+  }
+
+  save(roomId, state) {
+    return this.enqueue(roomId, () => this.writeSnapshot(roomId, state));
+  }
+
+  remove(roomId) {
+    return this.enqueue(roomId, async () => {
+      const { snapshot, log } = this.paths(roomId);
+      await fsp.rm(snapshot, { force: true });
+      await fsp.rm(log, { force: true });
+      this.logLengths.delete(roomId);
+    });
+  }
+
+  // Rooms are discovered from file names; the newest mtime of a room's
+  // snapshot/log is when it was last written.
+  async list() {
+    let names;
+    try {
+      names = await fsp.readdir(this.dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const latest = new Map();
+    await Promise.all(
+      names
+        .filter((name) => /\.(json|log)$/.test(name))
+        .map(async (name) => {
+          const roomId = decodeURIComponent(name.replace(/\.(json|log)$/, ''));
+          try {
+            const { mtimeMs } = await fsp.stat(path.join(this.dir, name));
+            latest.set(roomId, Math.max(latest.get(roomId) || 0, mtimeMs));
+          } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+          }
+        })
+    );
+    return Array.from(latest, ([roomId, updatedAt]) => ({ roomId, updatedAt }));
+  }
+
+  async flush() {
+    await Promise.allSettled(Array.from(this.queues.values()));
+  }
+}
+
+async function readIfExists(file) {
+  try {
+    return await fsp.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// ROOM_STORE selects the backend ("file" by default, or "memory");
+// ROOM_DATA_DIR overrides where the file backend writes.
+function createRoomStore(env = process.env) {
+  const kind = env.ROOM_STORE || 'file';
+  switch (kind) {
+    case 'memory':
+      return new MemoryRoomStore();
+    case 'file': {
+      const dir = path.resolve(env.ROOM_DATA_DIR || path.join(__dirname, 'data', 'rooms'));
+      fs.mkdirSync(dir, { recursive: true });
+      return new FileRoomStore({ dir });
+    }
+    default:
+      throw new Error(`Unknown ROOM_STORE "${kind}" (expected "file" or "memory")`);
+  }
+}
+
+module.exports = {
+  RoomStore,
+  MemoryRoomStore,
+  FileRoomStore,
+  applyEntry,
+  emptyState,
+  createRoomStore
+};
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Session tokens bind a user id to the server: `<userId>.<hmac>` where the
+// HMAC is keyed with a server secret. Clients keep the token and present it
+// on `join-room`; the server trusts only the id inside a valid token.
+
+// SESSION_SECRET signs tokens. Without it a random secret is generated once
+// and kept in SESSION_SECRET_FILE (default server/data/session-secret) so
+// sessions survive restarts.
+function readSessionSecret(env = process.env) {
+  if (env.SESSION_SECRET) return env.SESSION_SECRET;
+  const file = path.resolve(
+    env.SESSION_SECRET_FILE || path.join(__dirname, 'data', 'session-secret')
+  );
+  try {
+    return fs.readFileSync(file, 'utf8').trim();
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  const secret = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, secret, { mode: 0o600 });
+  console.log(`Generated session secret at ${file}`);
+  return secret;
+}
+
+function createSessions(secret = readSessionSecret()) {
+  const sign = (userId) =>
+    crypto.createHmac('sha256', secret).update(userId).digest('base64url');
+
+  function issue() {
+    const userId = crypto.randomBytes(5).toString('base64url').slice(0, 6);
+    return { userId, token: `${userId}.${sign(userId)}` };
+  }
+
+  // Returns the user id carried by a valid token, or null.
+  function verify(token) {
+    if (typeof token !== 'string') return null;
+    const dot = token.lastIndexOf('.');
+    if (dot <= 0) return null;
+    const userId = token.slice(0, dot);
+    const expected = Buffer.from(sign(userId));
+    const actual = Buffer.from(token.slice(dot + 1));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+    return userId;
+  }
+
+  return { issue, verify };
+}
+
+module.exports = { createSessions, readSessionSecret };
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ROLES, resolveRole, configureAccess, describeAccess } = require('../access');
+
+test('open rooms let everyone in as an editor', async () => {
+  assert.deepEqual(await resolveRole(undefined, {}), { role: ROLES.EDITOR });
+});
+
+test('link keys pick the role in a protected room', async () => {
+  const access = await configureAccess(null);
+  assert.notEqual(access.editKey, access.viewKey);
+  assert.equal(access.password, null);
+
+  assert.deepEqual(await resolveRole(access, { key: access.editKey }), { role: ROLES.EDITOR });
+  assert.deepEqual(await resolveRole(access, { key: access.viewKey }), { role: ROLES.VIEWER });
+  assert.deepEqual(await resolveRole(access, { key: 'guess' }), { error: 'invalid-link' });
+  assert.deepEqual(await resolveRole(access, {}), { error: 'invalid-link' });
+});
+
+test('a room password is checked after the link key', async () => {
+  const access = await configureAccess(null, { password: 'hunter2' });
+  assert.equal(typeof access.password.hash, 'string');
+  assert.notEqual(access.password.hash, 'hunter2');
+
+  const key = access.viewKey;
+  assert.deepEqual(await resolveRole(access, { key }), { error: 'password-required' });
+  assert.deepEqual(await resolveRole(access, { key, password: 'hunter3' }), {
+    error: 'wrong-password'
+  });
+  assert.deepEqual(await resolveRole(access, { key, password: 'hunter2' }), { role: ROLES.VIEWER });
+  assert.deepEqual(await resolveRole(access, { key: 'guess', password: 'hunter2' }), {
+    error: 'invalid-link'
+  });
+});
+
+test('configureAccess keeps keys unless asked to regenerate them', async () => {
+  const first = await configureAccess(null, { password: 'hunter2' });
+  const kept = await configureAccess(first, {});
+  assert.deepEqual(kept, first);
+
+  const renewed = await configureAccess(first, { regenerate: true });
+  assert.notEqual(renewed.editKey, first.editKey);
+  assert.notEqual(renewed.viewKey, first.viewKey);
+  assert.deepEqual(renewed.password, first.password);
+
+  const cleared = await configureAccess(first, { password: '' });
+  assert.equal(cleared.password, null);
+  assert.equal(cleared.editKey, first.editKey);
+});
+
+test('describeAccess only gives link keys to editors', async () => {
+  const access = await configureAccess(null, { password: 'hunter2' });
+  assert.deepEqual(describeAccess(null, ROLES.EDITOR), { protected: false, hasPassword: false });
+  assert.deepEqual(describeAccess(access, ROLES.VIEWER), { protected: true, hasPassword: true });
+  assert.deepEqual(describeAccess(access, ROLES.EDITOR), {
+    protected: true,
+    hasPassword: true,
+    editKey: access.editKey,
+    viewKey: access.viewKey
+  });
+});
@@ -0,0 +1,179 @@
+// Runs the real server in a child process (ROOM_STORE=memory) and drives it
+// with socket.io clients.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+const { once } = require('events');
+const { io } = require('socket.io-client');
+
+const EVENTS = [
+  'join-room',
+  'add-action',
+  'delete-action',
+  'update-action',
+  'update-actions',
+  'undo-action',
+  'redo-action',
+  'configure-access',
+  'clear-board',
+  'lock-room',
+  'kick-user',
+  'transfer-ownership',
+  'update-profile',
+  'cursor-move',
+  'cursor-leave'
+];
+
+async function freePort() {
+  const probe = net.createServer().listen(0);
+  await once(probe, 'listening');
+  const { port } = probe.address();
+  probe.close();
+  return port;
+}
+
+async function startServer(t, env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      ROOM_STORE: 'memory',
+      SESSION_SECRET: 'test',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let stderr = '';
+  child.stderr.on('data', (chunk) => {
+    stderr += chunk;
+  });
+  t.after(() => child.kill());
+  await new Promise((resolve, reject) => {
+    child.stdout.on('data', (chunk) => {
+      if (String(chunk).includes('Server listening')) resolve();
+    });
+    child.on('exit', (code) => reject(new Error(`server exited with ${code}: ${stderr}`)));
+  });
+  return {
+    url: `http://localhost:${port}`,
+    child,
+    stderr: () => stderr
+  };
+}
+
+function connect(t, url) {
+  const socket = io(url, { transports: ['websocket'], forceNew: true });
+  t.after(() => socket.disconnect());
+  return socket;
+}
+
+async function join(socket, payload) {
+  const state = once(socket, 'room-state');
+  socket.emit('join-room', payload);
+  return (await state)[0];
+}
+
+test('malformed payloads are dropped without taking the server down', async (t) => {
+  const server = await startServer(t);
+  const socket = connect(t, server.url);
+  await join(socket, { roomId: 'malformed' });
+
+  const rejected = once(socket, 'action-rejected');
+  socket.emit('update-actions', { updates: [null] });
+  assert.equal((await rejected)[0].reason, 'invalid-payload');
+
+  for (const payload of [null, undefined, 'x', 42, [], {}]) {
+    EVENTS.forEach((event) => socket.emit(event, payload));
+  }
+  // Events from one socket are handled in order, so this ack comes after them.
+  await new Promise((resolve) => socket.emit('undo-action', null, resolve));
+  const state = await join(connect(t, server.url), { roomId: 'malformed' });
+  assert.equal(state.roomId, 'malformed');
+  assert.equal(server.child.exitCode, null);
+  assert.doesNotMatch(server.stderr(), /Failed to handle/);
+});
+
+test('mutations with a null payload are still acknowledged', async (t) => {
+  const server = await startServer(t);
+  const socket = connect(t, server.url);
+  await join(socket, { roomId: 'acks' });
+  const acks = ['add-action', 'update-action', 'update-actions', 'undo-action'].map(
+    (event) => new Promise((resolve) => socket.emit(event, null, resolve))
+  );
+  await Promise.all(acks);
+});
+
+test('only the owner can configure access', async (t) => {
+  const server = await startServer(t);
+  const owner = connect(t, server.url);
+  await join(owner, { roomId: 'owned' });
+  const guest = connect(t, server.url);
+  await join(guest, { roomId: 'owned' });
+
+  const denied = once(guest, 'moderation-denied');
+  guest.emit('configure-access', { password: 'hunter2' });
+  assert.deepEqual((await denied)[0], { event: 'configure-access', reason: 'not-owner' });
+
+  const updated = once(owner, 'access-updated');
+  owner.emit('configure-access', { password: 'hunter2' });
+  const access = (await updated)[0];
+  assert.equal(access.hasPassword, true);
+
+  const stranger = connect(t, server.url);
+  const refused = once(stranger, 'join-denied');
+  stranger.emit('join-room', { roomId: 'owned', key: access.viewKey });
+  assert.equal((await refused)[0].reason, 'password-required');
+});
+
+// The password check takes longer than the idle timeout.
+test('a room evicted during the password check is rejoined', { timeout: 10000 }, async (t) => {
+  const server = await startServer(t, { ROOM_IDLE_TIMEOUT_MS: '20' });
+  const owner = connect(t, server.url);
+  await join(owner, { roomId: 'evicted' });
+  const updated = once(owner, 'access-updated');
+  owner.emit('configure-access', { password: 'hunter2' });
+  const { editKey } = (await updated)[0];
+
+  const guest = connect(t, server.url);
+  await once(guest, 'connect');
+  owner.disconnect();
+  await join(guest, { roomId: 'evicted', key: editKey, password: 'hunter2' });
+  const action = {
+    id: 'r1',
+    type: 'rect',
+    data: { x: 0, y: 0, width: 10, height: 10, strokeColor: '#000', strokeWidth: 2 }
+  };
+  await new Promise((resolve) => guest.emit('add-action', action, resolve));
+
+  const state = await join(connect(t, server.url), {
+    roomId: 'evicted',
+    key: editKey,
+    password: 'hunter2'
+  });
+  assert.deepEqual(state.actions.map(({ id }) => id), ['r1']);
+});
+
+test('wrong passwords are counted across connections from one address', async (t) => {
+  const server = await startServer(t, { PASSWORD_ATTEMPTS: '2' });
+  const owner = connect(t, server.url);
+  await join(owner, { roomId: 'guarded' });
+  const updated = once(owner, 'access-updated');
+  owner.emit('configure-access', { password: 'hunter2' });
+  const { viewKey } = (await updated)[0];
+
+  const attempt = async (password) => {
+    const socket = connect(t, server.url);
+    const outcome = Promise.race([once(socket, 'join-denied'), once(socket, 'room-state')]);
+    socket.emit('join-room', { roomId: 'guarded', key: viewKey, password });
+    const [result] = await outcome;
+    socket.disconnect();
+    return result.reason || 'joined';
+  };
+  assert.equal(await attempt('wrong'), 'wrong-password');
+  assert.equal(await attempt('wrong'), 'wrong-password');
+  assert.equal(await attempt('hunter2'), 'too-many-attempts');
+  assert.equal(await attempt('wrong'), 'too-many-attempts');
+});
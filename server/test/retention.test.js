@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const { createRetention, readRetentionConfig } = require('../retention');
+const { MemoryRoomStore } = require('../roomStore');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const loadedRoom = (state, extra = {}) => ({
+  actions: [],
+  meta: {},
+  seq: 0,
+  ...state,
+  clients: new Set(),
+  users: new Map(),
+  ...extra
+});
+
+function setup(t, config = {}) {
+  t.mock.method(console, 'log', () => {});
+  const rooms = {};
+  const store = new MemoryRoomStore();
+  const retention = createRetention({
+    rooms,
+    store,
+    config: { idleTimeoutMs: 5, retentionMs: DAY, sweepIntervalMs: 0, ...config }
+  });
+  t.after(() => retention.stop());
+  return { rooms, store, retention };
+}
+
+test('readRetentionConfig reads the environment and rejects bad values', () => {
+  assert.deepEqual(readRetentionConfig({ ROOM_IDLE_TIMEOUT_MS: '10', ROOM_RETENTION_DAYS: '0' }), {
+    idleTimeoutMs: 10,
+    retentionMs: 0,
+    sweepIntervalMs: 60 * 60 * 1000
+  });
+  assert.throws(() => readRetentionConfig({ ROOM_RETENTION_DAYS: '-1' }), /ROOM_RETENTION_DAYS/);
+});
+
+test('an idle room that changed is saved and evicted', async (t) => {
+  const { rooms, store, retention } = setup(t);
+  const action = { id: 'a', type: 'rect', data: {} };
+  rooms.r = loadedRoom({ actions: [action], meta: { owner: 'u1' }, seq: 1 }, { unsaved: true });
+  retention.roomEmptied('r');
+  await sleep(30);
+  assert.equal(rooms.r, undefined);
+  assert.deepEqual(await store.load('r'), { actions: [action], meta: { owner: 'u1' }, seq: 1 });
+});
+
+test('an unchanged room is evicted without being written again', async (t) => {
+  const { rooms, store, retention } = setup(t);
+  const state = { actions: [{ id: 'a', type: 'rect', data: {} }], meta: {}, seq: 1 };
+  await store.save('r', state);
+  store.updatedAt.set('r', 1);
+  t.mock.method(store, 'save');
+  rooms.r = loadedRoom(state);
+  retention.roomEmptied('r');
+  await sleep(30);
+  assert.equal(rooms.r, undefined);
+  assert.equal(store.save.mock.callCount(), 0);
+  assert.deepEqual(await store.list(), [{ roomId: 'r', updatedAt: 1 }]);
+});
+
+test('a room nobody drew in or configured is dropped from the store', async (t) => {
+  const { rooms, store, retention } = setup(t);
+  await store.append('r', { type: 'meta', meta: { owner: 'u1' } });
+  rooms.r = loadedRoom({ meta: { owner: 'u1' } }, { unsaved: true });
+  retention.roomEmptied('r');
+  await sleep(30);
+  assert.equal(rooms.r, undefined);
+  assert.equal(await store.load('r'), null);
+});
+
+test('rejoining before the timeout keeps the room loaded', async (t) => {
+  const { rooms, retention } = setup(t);
+  rooms.r = loadedRoom({ meta: { locked: true } }, { unsaved: true });
+  retention.roomEmptied('r');
+  retention.roomJoined('r');
+  await sleep(30);
+  assert.ok(rooms.r);
+});
+
+test('sweep deletes stored rooms past retention unless someone is in them', async (t) => {
+  const { rooms, store, retention } = setup(t);
+  const state = { actions: [], meta: {}, seq: 0 };
+  await Promise.all(['old', 'busy', 'fresh'].map((id) => store.save(id, state)));
+  store.updatedAt.set('old', Date.now() - 2 * DAY);
+  store.updatedAt.set('busy', Date.now() - 2 * DAY);
+  rooms.busy = loadedRoom({}, { clients: new Set(['socket']) });
+
+  await retention.sweep();
+  const left = (await store.list()).map(({ roomId }) => roomId).sort();
+  assert.deepEqual(left, ['busy', 'fresh']);
+  assert.ok(rooms.busy);
+});
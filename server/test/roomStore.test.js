@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { MemoryRoomStore, FileRoomStore, applyEntry, emptyState } = require('../roomStore');
+
+const rect = (id) => ({ id, type: 'rect', data: { x: 0, y: 0, width: 10, height: 10 } });
+
+async function tempDir(t) {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'rooms-'));
+  t.after(() => fsp.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('applyEntry replays every kind of entry', () => {
+  const state = emptyState();
+  applyEntry(state, { type: 'add', action: rect('a'), seq: 1 });
+  applyEntry(state, { type: 'add', action: rect('b'), seq: 2 });
+  applyEntry(state, { type: 'add', action: rect('a'), seq: 3 });
+  assert.deepEqual(state.actions.map(({ id }) => id), ['a', 'b']);
+
+  applyEntry(state, { type: 'update', actionId: 'a', data: { x: 5 }, seq: 4 });
+  applyEntry(state, {
+    type: 'update-many',
+    updates: [{ actionId: 'b', data: { x: 6 } }, { actionId: 'gone', data: {} }],
+    seq: 5
+  });
+  assert.deepEqual(state.actions.map(({ data }) => data.x), [5, 6]);
+
+  applyEntry(state, { type: 'undo', actionId: 'a', seq: 6 });
+  assert.equal(state.actions[0].undone, true);
+  applyEntry(state, { type: 'redo', actionId: 'a', seq: 7 });
+  assert.equal(state.actions[0].undone, false);
+
+  applyEntry(state, { type: 'meta', meta: { owner: 'u1' } });
+  applyEntry(state, { type: 'meta', meta: { locked: true } });
+  assert.deepEqual(state.meta, { owner: 'u1', locked: true });
+  assert.equal(state.seq, 7);
+});
+
+test('MemoryRoomStore keeps copies, not the objects it was given', async () => {
+  const store = new MemoryRoomStore();
+  const action = rect('a');
+  await store.append('room', { type: 'add', action, seq: 1 });
+  action.data.x = 99;
+  const loaded = await store.load('room');
+  assert.equal(loaded.actions[0].data.x, 0);
+  loaded.actions.length = 0;
+  assert.equal((await store.load('room')).actions.length, 1);
+  assert.equal(await store.load('other'), null);
+});
+
+test('FileRoomStore reloads the snapshot plus its log', async (t) => {
+  const dir = await tempDir(t);
+  const store = new FileRoomStore({ dir });
+  await store.save('room', { actions: [rect('a')], meta: { owner: 'u1' }, seq: 1 });
+  await store.append('room', { type: 'add', action: rect('b'), seq: 2 });
+  await store.append('room', { type: 'undo', actionId: 'a', seq: 3 });
+
+  const loaded = await new FileRoomStore({ dir }).load('room');
+  assert.deepEqual(loaded.actions.map(({ id, undone }) => [id, Boolean(undone)]), [
+    ['a', true],
+    ['b', false]
+  ]);
+  assert.deepEqual(loaded.meta, { owner: 'u1' });
+  assert.equal(loaded.seq, 3);
+  assert.equal(await store.load('never-stored'), null);
+});
+
+test('FileRoomStore writes an entry as it was when appended', async (t) => {
+  const dir = await tempDir(t);
+  const store = new FileRoomStore({ dir });
+  const action = rect('a');
+  const pending = store.append('room', { type: 'add', action, seq: 1 });
+  action.data = { ...action.data, x: 50 };
+  action.undone = true;
+  await pending;
+  const [stored] = (await store.load('room')).actions;
+  assert.equal(stored.data.x, 0);
+  assert.equal(stored.undone, undefined);
+});
+
+test('FileRoomStore folds the log into the snapshot after compactAfter entries', async (t) => {
+  const dir = await tempDir(t);
+  const store = new FileRoomStore({ dir, compactAfter: 3 });
+  const { snapshot, log } = store.paths('room');
+  await store.append('room', { type: 'add', action: rect('a'), seq: 1 });
+  await store.append('room', { type: 'add', action: rect('b'), seq: 2 });
+  assert.equal((await fsp.readFile(log, 'utf8')).trim().split('\n').length, 2);
+
+  await store.append('room', { type: 'add', action: rect('c'), seq: 3 });
+  await assert.rejects(fsp.access(log));
+  const saved = JSON.parse(await fsp.readFile(snapshot, 'utf8'));
+  assert.deepEqual(saved.actions.map(({ id }) => id), ['a', 'b', 'c']);
+  assert.equal(saved.seq, 3);
+});
+
+test('FileRoomStore skips a torn final log line', async (t) => {
+  const dir = await tempDir(t);
+  const store = new FileRoomStore({ dir });
+  await store.append('room', { type: 'add', action: rect('a'), seq: 1 });
+  await fsp.appendFile(store.paths('room').log, '{"type":"add","act');
+  t.mock.method(console, 'error', () => {});
+
+  const loaded = await new FileRoomStore({ dir }).load('room');
+  assert.deepEqual(loaded.actions.map(({ id }) => id), ['a']);
+  assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('FileRoomStore lists and removes rooms by id', async (t) => {
+  const dir = await tempDir(t);
+  const store = new FileRoomStore({ dir });
+  await store.save('a/b', emptyState());
+  await store.append('c', { type: 'meta', meta: { locked: true } });
+  const ids = (await store.list()).map(({ roomId }) => roomId).sort();
+  assert.deepEqual(ids, ['a/b', 'c']);
+
+  await store.remove('a/b');
+  assert.deepEqual((await store.list()).map(({ roomId }) => roomId), ['c']);
+  assert.equal(await store.load('a/b'), null);
+  assert.deepEqual(await new FileRoomStore({ dir: path.join(dir, 'missing') }).list(), []);
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ValidationError,
+  readLimits,
+  sanitizeProfile,
+  validateNewAction,
+  validateActionData,
+  validateDeletion
+} = require('../validation');
+
+const limits = readLimits({});
+const emptyRoom = () => ({ actions: [] });
+
+const rect = (id = 'r1', data = {}) => ({
+  id,
+  type: 'rect',
+  data: { x: 0, y: 0, width: 10, height: 10, strokeColor: '#000', strokeWidth: 2, ...data }
+});
+
+const path = (id, points) => ({
+  id,
+  type: 'path',
+  data: { points, strokeColor: '#000', strokeWidth: 2 }
+});
+
+// Runs `fn` and returns the ValidationError it throws.
+function rejection(fn) {
+  try {
+    fn();
+  } catch (err) {
+    assert.ok(err instanceof ValidationError, `expected a ValidationError, got ${err}`);
+    return err;
+  }
+  assert.fail('expected a ValidationError');
+}
+
+const rejectNew = (action, room = emptyRoom(), using = limits) =>
+  rejection(() => validateNewAction(action, room, using));
+const rejectDeletion = (action, room) => rejection(() => validateDeletion(action, room, limits));
+const rejectData = (type, data) => rejection(() => validateActionData(type, data, limits));
+
+test('readLimits falls back to the defaults for missing or bad values', () => {
+  assert.deepEqual(readLimits({ MAX_PATH_POINTS: 'lots', MAX_ROOM_ACTIONS: '-1' }), {
+    maxActionBytes: 2 * 1024 * 1024,
+    maxPathPoints: 10000,
+    maxRoomActions: 20000
+  });
+  assert.equal(readLimits({ MAX_ROOM_ACTIONS: '3' }).maxRoomActions, 3);
+});
+
+test('validateNewAction accepts a well-formed element', () => {
+  validateNewAction(rect(), emptyRoom(), limits);
+  validateNewAction(path('p1', [0, 0, 5, 5]), emptyRoom(), limits);
+});
+
+test('validateNewAction rejects payloads that are not actions', () => {
+  [null, undefined, 'rect', [], 42].forEach((payload) => {
+    assert.equal(rejectNew(payload).reason, 'invalid-payload');
+  });
+  const noData = { id: 'r1', type: 'rect', data: null };
+  assert.equal(rejectNew(noData).reason, 'invalid-payload');
+});
+
+test('validateNewAction checks ids and types', () => {
+  const badId = rejectNew(rect('not an id!'));
+  assert.deepEqual([badId.reason, badId.field], ['invalid-field', 'id']);
+  const badType = rejectNew({ ...rect(), type: 'diamond' });
+  assert.deepEqual([badType.reason, badType.field], ['invalid-type', 'type']);
+  const protoType = rejectNew({ ...rect(), type: 'toString' });
+  assert.equal(protoType.reason, 'invalid-type');
+});
+
+test('validateNewAction rejects unknown, missing and invalid fields', () => {
+  const unknown = rejectNew(rect('r1', { onclick: 'x' }));
+  assert.deepEqual([unknown.reason, unknown.field], ['unknown-field', 'onclick']);
+  const missing = rejectNew(rect('r1', { x: undefined }));
+  assert.deepEqual([missing.reason, missing.field], ['invalid-field', 'x']);
+  const color = rejectNew(rect('r1', { strokeColor: 'red' }));
+  assert.equal(color.field, 'strokeColor');
+  const width = rejectNew(rect('r1', { strokeWidth: 0 }));
+  assert.equal(width.field, 'strokeWidth');
+});
+
+test('validateNewAction checks stroke points', () => {
+  const short = rejectNew(path('p1', [0, 0]));
+  assert.deepEqual([short.reason, short.field], ['invalid-field', 'points']);
+  const odd = rejectNew(path('p1', [0, 0, 1, 1, 2]));
+  assert.equal(odd.reason, 'invalid-field');
+  const nan = rejectNew(path('p1', [0, 0, NaN, 1]));
+  assert.equal(nan.reason, 'invalid-field');
+  const tight = { ...limits, maxPathPoints: 2 };
+  const long = rejectNew(path('p1', [0, 0, 1, 1, 2, 2]), emptyRoom(), tight);
+  assert.equal(long.reason, 'too-many-points');
+});
+
+test('validateNewAction enforces size and room limits', () => {
+  const small = { ...limits, maxActionBytes: 50 };
+  assert.equal(rejectNew(rect(), emptyRoom(), small).reason, 'too-large');
+
+  const room = { actions: [rect('r1')] };
+  assert.equal(rejectNew(rect('r1'), room, limits).reason, 'duplicate-id');
+  const full = { ...limits, maxRoomActions: 1 };
+  assert.equal(rejectNew(rect('r2'), room, full).reason, 'room-full');
+});
+
+test('validateActionData checks edits against the element type', () => {
+  validateActionData('rect', rect().data, limits);
+  assert.equal(rejectData('delete', {}).reason, 'invalid-type');
+  assert.equal(rejectData('rect', null).reason, 'invalid-payload');
+});
+
+test('validateDeletion returns the targets and refuses missing ones', () => {
+  const deletion = { id: 'd1', type: 'delete', data: { actionIds: ['r1'] } };
+  const room = { actions: [rect('r1'), deletion] };
+  const targets = validateDeletion({ id: 'd2', data: { actionIds: ['r1'] } }, room, limits);
+  assert.deepEqual(targets, [room.actions[0]]);
+  const missing = rejectDeletion({ id: 'd2', data: { actionIds: ['r9'] } }, room);
+  assert.equal(missing.field, 'actionIds');
+  const notElement = rejectDeletion({ id: 'd2', data: { actionIds: ['d1'] } }, room);
+  assert.equal(notElement.field, 'actionIds');
+  assert.equal(rejectDeletion(null, room).reason, 'invalid-payload');
+});
+
+test('sanitizeProfile cleans up names and drops bad colors', () => {
+  assert.deepEqual(sanitizeProfile({ name: ' \u0007Ada ', color: '#ff0000' }, 'u1'), {
+    userId: 'u1',
+    name: 'Ada',
+    color: '#ff0000'
+  });
+  assert.deepEqual(sanitizeProfile(null, 'u1'), { userId: 'u1', name: '', color: null });
+  assert.equal(sanitizeProfile({ name: 'x'.repeat(100) }, 'u1').name.length, 32);
+  assert.equal(sanitizeProfile({ color: 'url(evil)' }, 'u1').color, null);
+});
@@ -0,0 +1,271 @@
+// Server-side checks for actions coming from clients. Every rejection is a
+// ValidationError carrying a machine readable `reason` (and the offending
+// `field` where there is one) which is forwarded to the client in an
+// `action-rejected` event.
+
+class ValidationError extends Error {
+  constructor(reason, message, field) {
+    super(message);
+    this.name = 'ValidationError';
+    this.reason = reason;
+    this.field = field;
+  }
+}
+
+function readLimit(env, name, fallback) {
+  const value = Number(env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// MAX_ACTION_BYTES: serialized size of one action (images are inlined as data URLs).
+// MAX_PATH_POINTS: points (x/y pairs) in a single freehand stroke.
+// MAX_ROOM_ACTIONS: actions kept in one room's history.
+function readLimits(env = process.env) {
+  return {
+    maxActionBytes: readLimit(env, 'MAX_ACTION_BYTES', 2 * 1024 * 1024),
+    maxPathPoints: readLimit(env, 'MAX_PATH_POINTS', 10000),
+    maxRoomActions: readLimit(env, 'MAX_ROOM_ACTIONS', 20000)
+  };
+}
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isColor = (value) => typeof value === 'string' && /^#[0-9a-f]{3,8}$/i.test(value);
+const isStrokeWidth = (value) => isFiniteNumber(value) && value > 0 && value <= 100;
+const isImageSrc = (value) => typeof value === 'string' && /^data:image\/[\w.+-]+;base64,/.test(value);
+const isId = (value) => typeof value === 'string' && /^[\w-]{1,64}$/.test(value);
+const oneOf = (...values) => (value) => values.includes(value);
+
+const MAX_TEXT_LENGTH = 10000;
+const isText = (value) =>
+  typeof value === 'string' && value.length > 0 && value.length <= MAX_TEXT_LENGTH;
+const isArrowhead = (value) =>
+  value === null || ['arrow', 'triangle', 'dot', 'bar'].includes(value);
+const isBinding = (value) =>
+  value === null ||
+  (typeof value === 'object' &&
+    !Array.isArray(value) &&
+    Object.keys(value).length === 1 &&
+    isId(value.actionId));
+const isFontSize = (value) => isFiniteNumber(value) && value >= 4 && value <= 400;
+
+const stroke = {
+  strokeColor: { check: isColor, required: true },
+  strokeWidth: { check: isStrokeWidth, required: true }
+};
+
+// Optional style fields; older actions don't have them.
+const strokeStyle = {
+  strokeStyle: { check: oneOf('solid', 'dashed', 'dotted') }
+};
+
+const opacity = {
+  opacity: { check: (value) => isFiniteNumber(value) && value >= 0 && value <= 1 }
+};
+
+// A null fill is transparent.
+const fill = {
+  fillColor: { check: (value) => value === null || isColor(value) }
+};
+
+// Elements sharing a groupId are selected and moved as one.
+const group = {
+  groupId: { check: (value) => value === null || isId(value) }
+};
+
+// `angle` rotates the box about its center, in radians.
+const box = {
+  x: { check: isFiniteNumber, required: true },
+  y: { check: isFiniteNumber, required: true },
+  width: { check: isFiniteNumber, required: true },
+  height: { check: isFiniteNumber, required: true },
+  angle: { check: isFiniteNumber }
+};
+
+// Per-type schemas for `action.data`. Fields not listed here are rejected.
+const DATA_SCHEMAS = {
+  path: {
+    points: { check: Array.isArray, required: true },
+    ...stroke,
+    ...strokeStyle,
+    ...opacity,
+    ...group
+  },
+  line: {
+    points: { check: Array.isArray, required: true },
+    ...stroke,
+    ...strokeStyle,
+    ...opacity,
+    ...group
+  },
+  // Bindings ({ actionId }) attach an arrow end to a shape.
+  arrow: {
+    points: { check: Array.isArray, required: true },
+    ...stroke,
+    ...strokeStyle,
+    ...opacity,
+    ...group,
+    startArrowhead: { check: isArrowhead },
+    endArrowhead: { check: isArrowhead },
+    startBinding: { check: isBinding },
+    endBinding: { check: isBinding }
+  },
+  rect: { ...box, ...stroke, ...strokeStyle, ...fill, ...opacity, ...group },
+  ellipse: { ...box, ...stroke, ...strokeStyle, ...fill, ...opacity, ...group },
+  image: {
+    ...box,
+    src: { check: isImageSrc, required: true },
+    ...opacity,
+    ...group
+  },
+  // `width` is where lines wrap; `strokeColor` is the text color.
+  text: {
+    ...box,
+    text: { check: isText, required: true },
+    fontFamily: { check: oneOf('sans', 'serif', 'mono', 'hand'), required: true },
+    fontSize: { check: isFontSize, required: true },
+    textAlign: { check: oneOf('left', 'center', 'right'), required: true },
+    strokeColor: stroke.strokeColor,
+    ...opacity,
+    ...group
+  }
+};
+
+function byteSize(value) {
+  return Buffer.byteLength(JSON.stringify(value) || '', 'utf8');
+}
+
+function validatePoints(points, limits) {
+  if (points.length < 4 || points.length % 2 !== 0) {
+    throw new ValidationError('invalid-field', 'points must hold at least two x/y pairs', 'points');
+  }
+  if (points.length / 2 > limits.maxPathPoints) {
+    throw new ValidationError(
+      'too-many-points',
+      `strokes are limited to ${limits.maxPathPoints} points`,
+      'points'
+    );
+  }
+  if (!points.every(isFiniteNumber)) {
+    throw new ValidationError('invalid-field', 'points must be finite numbers', 'points');
+  }
+}
+
+function validateData(type, data, limits) {
+  const schema = DATA_SCHEMAS[type];
+  if (!schema) {
+    throw new ValidationError('invalid-type', `${type} actions cannot be edited`, 'type');
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ValidationError('invalid-payload', 'data must be an object', 'data');
+  }
+  Object.keys(data).forEach((key) => {
+    if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+      throw new ValidationError('unknown-field', `${type} does not support "${key}"`, key);
+    }
+  });
+  Object.entries(schema).forEach(([key, rule]) => {
+    if (data[key] === undefined) {
+      if (rule.required) {
+        throw new ValidationError('invalid-field', `${type} requires "${key}"`, key);
+      }
+      return;
+    }
+    if (!rule.check(data[key])) {
+      throw new ValidationError('invalid-field', `invalid value for "${key}"`, key);
+    }
+  });
+  if (schema.points) {
+    validatePoints(data.points, limits);
+  }
+}
+
+function checkSize(value, limits) {
+  if (byteSize(value) > limits.maxActionBytes) {
+    throw new ValidationError(
+      'too-large',
+      `actions are limited to ${limits.maxActionBytes} bytes`
+    );
+  }
+}
+
+// Validates a new action for `room`; throws a ValidationError when it must be rejected.
+function validateNewAction(action, room, limits) {
+  if (!action || typeof action !== 'object' || Array.isArray(action)) {
+    throw new ValidationError('invalid-payload', 'action must be an object');
+  }
+  if (!isId(action.id)) {
+    throw new ValidationError('invalid-field', 'action id must be 1-64 url-safe characters', 'id');
+  }
+  if (!Object.prototype.hasOwnProperty.call(DATA_SCHEMAS, action.type)) {
+    throw new ValidationError('invalid-type', `unknown action type "${action.type}"`, 'type');
+  }
+  if (action.timestamp !== undefined && !isFiniteNumber(action.timestamp)) {
+    throw new ValidationError('invalid-field', 'timestamp must be a number', 'timestamp');
+  }
+  checkSize(action, limits);
+  validateData(action.type, action.data, limits);
+  checkRoomCapacity(action.id, room, limits);
+}
+
+function checkRoomCapacity(id, room, limits) {
+  if (room.actions.some((existing) => existing.id === id)) {
+    throw new ValidationError('duplicate-id', `action ${id} already exists`, 'id');
+  }
+  if (room.actions.length >= limits.maxRoomActions) {
+    throw new ValidationError(
+      'room-full',
+      `rooms are limited to ${limits.maxRoomActions} actions`
+    );
+  }
+}
+
+// Validates a `delete` action ({ id, data: { actionIds } }) and returns the
+// actions it would hide. Only drawn elements can be deleted.
+function validateDeletion(action, room, limits) {
+  if (!action || typeof action !== 'object' || Array.isArray(action)) {
+    throw new ValidationError('invalid-payload', 'action must be an object');
+  }
+  if (!isId(action.id)) {
+    throw new ValidationError('invalid-field', 'action id must be 1-64 url-safe characters', 'id');
+  }
+  const actionIds = action.data?.actionIds;
+  if (!Array.isArray(actionIds) || actionIds.length === 0 || !actionIds.every(isId)) {
+    throw new ValidationError('invalid-field', 'actionIds must list the elements to delete', 'actionIds');
+  }
+  checkSize(action, limits);
+  checkRoomCapacity(action.id, room, limits);
+  return actionIds.map((id) => {
+    const target = room.actions.find((existing) => existing.id === id);
+    if (!target || !Object.prototype.hasOwnProperty.call(DATA_SCHEMAS, target.type)) {
+      throw new ValidationError('invalid-field', `there is no element ${id}`, 'actionIds');
+    }
+    return target;
+  });
+}
+
+// Validates the data an existing action would have after an update.
+function validateActionData(type, data, limits) {
+  checkSize(data, limits);
+  validateData(type, data, limits);
+}
+
+const MAX_NAME_LENGTH = 32;
+
+// Profiles are presence only, so bad input is cleaned up rather than rejected.
+function sanitizeProfile(profile, userId) {
+  const name = typeof profile?.name === 'string'
+    ? profile.name.replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, MAX_NAME_LENGTH)
+    : '';
+  const color = isColor(profile?.color) ? profile.color : null;
+  return { userId, name, color };
+}
+
+module.exports = {
+  ValidationError,
+  DATA_SCHEMAS,
+  readLimits,
+  sanitizeProfile,
+  validateNewAction,
+  validateActionData,
+  validateDeletion
+};